@@ -2,6 +2,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
 const parser = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
 const t = require('@babel/types');
@@ -16,12 +20,28 @@ try {
 }
 
 class FunctionAnalyzer {
-  constructor() {
+  constructor(options = {}) {
+    this.options = { configPath: null, format: 'text', cache: true, jobs: Math.max(1, (os.availableParallelism?.() ?? os.cpus().length) - 1), reportPath: null, ...options };
+    this.reportExtensions = { text: 'txt', json: 'json', html: 'html' };
+    // Results per file keyed by content hash, shared between the runs of --watch so only touched files are parsed again
+    this.fileCache = this.options.fileCache ?? new Map();
+    this.cacheFolder = '.analyze-functions-cache';
+    // Starting a worker loads Babel again, which costs about as much as parsing a few files
+    this.filesPerWorker = 10;
     this.functions = new Map();
     this.functionCalls = new Map();
+    this.unresolvedCalls = new Map();
+    this.pendingCalls = [];
+    this.modules = new Map();
+    this.sources = new Map();
+    this.classes = new Map();
+    this.hooks = [];
+    this.discardedCallbacks = [];
+    this.suppressions = [];
     this.errors = [];
     this.outputLines = [];
     this.skippedFunctionCount = 0;
+    this.ignoredFileCount = 0;
 
     // Functions that shouldn't be tracked for usage (called by frameworks/systems)
     this.functionBlacklist = new Set([
@@ -65,6 +85,247 @@ class FunctionAnalyzer {
       'useMemo',
       'useRef'
     ]);
+
+    // Pattern matches for event handlers
+    this.eventPatterns = [
+      /^on[A-Z]/, // onSomething
+      /^handle[A-Z]/, // handleSomething
+      /Handler$/, // somethingHandler
+      /Listener$/, // somethingListener
+      /Callback$/, // somethingCallback
+      /^_on[A-Z]/ // _onSomething (private event handlers)
+    ];
+
+    // Rule names accepted by the config file, analyze-ignore directives and the @analyze-ignore tag
+    this.rules = new Set([
+      'unused',
+      'unresolved',
+      'single-use',
+      'unnecessary-async',
+      'floating-promise',
+      'write-in-loop',
+      'repeated-write',
+      'sequential-await',
+      'complexity',
+      'unnecessary-await',
+      'unused-export',
+      'orphan-file',
+      'import-cycle',
+      'missing-hook-emitter',
+      'unheard-hook',
+      'hook-cleanup',
+      'orphan-hook-removal',
+      'missing-action',
+      'orphaned-action',
+      'missing-template',
+      'duplicate-function',
+      'duplicate-block'
+    ]);
+
+    // Hooks Foundry core emits on its own, listeners for these never need an emitter in our code
+    this.coreHooks = new Set([
+      'init',
+      'i18nInit',
+      'setup',
+      'ready',
+      'error',
+      'canvasConfig',
+      'canvasInit',
+      'canvasReady',
+      'canvasPan',
+      'canvasTearDown',
+      'initializeCanvasEnvironment',
+      'lightingRefresh',
+      'sightRefresh',
+      'chatMessage',
+      'createChatMessage',
+      'dropCanvasData',
+      'dropActorSheetData',
+      'hotbarDrop',
+      'pauseGame',
+      'updateWorldTime',
+      'targetToken',
+      'getSceneControlButtons',
+      'renderSceneControls',
+      'collapseSidebar',
+      'changeSidebarTab',
+      'userConnected',
+      'combatStart',
+      'combatTurn',
+      'combatRound',
+      'combatTurnChange',
+      'applyTokenStatusEffect',
+      'applyCompendiumArt',
+      'getProseMirrorMenuDropDowns',
+      'getProseMirrorMenuItems',
+      'clientSettingChanged',
+      'closeApplication',
+      'renderApplication',
+      'renderApplicationV2',
+      'renderHandlebarsApplication'
+    ]);
+    this.coreDocuments = [
+      'Actor',
+      'ActorDelta',
+      'Adventure',
+      'ActiveEffect',
+      'AmbientLight',
+      'AmbientSound',
+      'Card',
+      'Cards',
+      'ChatMessage',
+      'Combat',
+      'Combatant',
+      'CombatantGroup',
+      'Drawing',
+      'FogExploration',
+      'Folder',
+      'Item',
+      'JournalEntry',
+      'JournalEntryPage',
+      'Macro',
+      'MeasuredTemplate',
+      'Note',
+      'Playlist',
+      'PlaylistSound',
+      'Region',
+      'RegionBehavior',
+      'RollTable',
+      'Scene',
+      'Setting',
+      'TableResult',
+      'Tile',
+      'Token',
+      'User',
+      'Wall'
+    ];
+    this.corePlaceables = ['AmbientLight', 'AmbientSound', 'Drawing', 'MeasuredTemplate', 'Note', 'Region', 'Tile', 'Token', 'Wall'];
+    // Application classes whose render, close and header hooks are part of the core API
+    this.coreApplicationPattern =
+      /(?:Sheet|SheetV2|Config|Directory|HUD|Dialog|DialogV2|Application|ApplicationV2|Tracker|Log|Controls|Tab|Compendium|Hotbar|Players|Pause|Notifications|Sidebar|Menu|Browser|Editor|Form|FormApplication|Popout|Navigation|Layer)$/;
+    this.startupHooks = new Set(['init', 'i18nInit', 'setup', 'ready']);
+
+    // Foundry and browser APIs that return a promise, so discarding their result loses any rejection
+    this.promiseFunctions = new Set(['fromUuid', 'renderTemplate', 'loadTemplates', 'getTemplate', 'fetch']);
+    this.promiseMethods = new Set([
+      'create',
+      'update',
+      'delete',
+      'createDocuments',
+      'updateDocuments',
+      'deleteDocuments',
+      'createEmbeddedDocuments',
+      'updateEmbeddedDocuments',
+      'deleteEmbeddedDocuments',
+      'setFlag',
+      'unsetFlag',
+      'fromDropData',
+      'importFromCompendium',
+      'toggleStatusEffect',
+      'rollInitiative',
+      'getDocuments',
+      'getDocument',
+      'getIndex',
+      'evaluate',
+      'toMessage'
+    ]);
+    this.promiseCombinators = new Set(['all', 'allSettled', 'race', 'any']);
+    // Each of these is a server round trip followed by a re-render of everything showing the document
+    this.documentWriteMethods = new Set([
+      'create',
+      'update',
+      'delete',
+      'createDocuments',
+      'updateDocuments',
+      'deleteDocuments',
+      'createEmbeddedDocuments',
+      'updateEmbeddedDocuments',
+      'deleteEmbeddedDocuments',
+      'setFlag',
+      'unsetFlag',
+      'toggleStatusEffect'
+    ]);
+    this.iterationMethods = new Set(['forEach', 'map', 'flatMap']);
+
+    // Functions above any of these are listed as hard to maintain, the config file can override them
+    this.complexityThresholds = { cyclomatic: 10, cognitive: 15, lines: 80, params: 5, nesting: 4 };
+    // Lines of source shown above and below each finding
+    this.codeFrameLines = 1;
+
+    // Sizes are counted in AST nodes, similarity is the share of 5 node sequences two functions have in common
+    this.duplicateThresholds = { functionTokens: 12, similarTokens: 40, similarity: 0.8, blockTokens: 40 };
+    // Blocks below this size are not fingerprinted at all, so a lower blockTokens in the config has no effect
+    this.duplicateBlockFloor = 20;
+    this.shingleSize = 5;
+
+    // Methods Foundry's Application and ApplicationV2 classes call on their subclasses
+    this.frameworkMethods = new Set([
+      '_initializeApplicationOptions',
+      '_configureRenderOptions',
+      '_configureRenderParts',
+      '_prepareContext',
+      '_preparePartContext',
+      '_prepareTabs',
+      '_getTabsConfig',
+      '_renderHTML',
+      '_replaceHTML',
+      '_renderFrame',
+      '_renderHeaderControl',
+      '_getHeaderControls',
+      '_headerControlButtons',
+      '_updateFrame',
+      '_insertElement',
+      '_removeElement',
+      '_canRender',
+      '_preFirstRender',
+      '_onFirstRender',
+      '_preRender',
+      '_onRender',
+      '_preClose',
+      '_onClose',
+      '_prePosition',
+      '_onPosition',
+      '_attachFrameListeners',
+      '_attachPartListeners',
+      '_preSyncPartState',
+      '_syncPartState',
+      '_onChangeForm',
+      '_onClickAction',
+      '_processFormData',
+      '_prepareSubmitData',
+      '_processSubmitData',
+      '_tearDown',
+      '_toggleDisabled',
+      '_canDragStart',
+      '_canDragDrop',
+      '_onDragStart',
+      '_onDragOver',
+      '_onDrop',
+      '_onRevealSecret',
+      '_getEntryContextOptions',
+      'changeTab',
+      'getData',
+      'activateListeners',
+      '_getHeaderButtons',
+      '_getSubmitData',
+      '_updateObject',
+      '_render'
+    ]);
+    // Actions ApplicationV2 and the core sheets register themselves
+    this.coreActions = new Set([
+      'close',
+      'tab',
+      'toggleControls',
+      'minimize',
+      'configureSheet',
+      'copyUuid',
+      'editImage',
+      'importDocument',
+      'showPortraitArtwork',
+      'showTokenArtwork',
+      'configurePrototypeToken',
+      'configureToken'
+    ]);
   }
 
   log(message) {
@@ -83,7 +344,7 @@ class FunctionAnalyzer {
         });
       } else {
         jsFiles = await new Promise((resolve, reject) => {
-          globFunction(
+          const result = globFunction(
             '**/*.{js,jsx,mjs,ts,tsx}',
             {
               cwd: folderPath,
@@ -94,6 +355,8 @@ class FunctionAnalyzer {
               else resolve(files);
             }
           );
+          // glob 9+ ignores the callback and returns a promise instead
+          if (result && typeof result.then === 'function') result.then(resolve, reject);
         });
       }
     } catch (error) {
@@ -106,20 +369,25 @@ class FunctionAnalyzer {
       jsFiles = this.findJSFilesManually(folderPath);
     }
 
-    this.log(`Analyzing JavaScript functions in: ${folderPath}`);
-    this.log(`Found ${jsFiles.length} JavaScript/TypeScript files to analyze...`);
-
-    for (const file of jsFiles) {
-      const fullPath = path.join(folderPath, file);
-      try {
-        await this.analyzeFile(fullPath, file);
-      } catch (error) {
-        const errorMsg = `Error analyzing ${file}: ${error.message}`;
-        console.error(errorMsg);
-        this.errors.push(errorMsg);
-      }
-    }
+    this.loadConfig(folderPath);
+    const foundFileCount = jsFiles.length;
+    jsFiles = jsFiles.filter((file) => !this.isIgnoredPath(file));
+    this.ignoredFileCount = foundFileCount - jsFiles.length;
 
+    this.log(`Analyzing JavaScript functions in: ${folderPath}`);
+    this.log(`Found ${jsFiles.length} JavaScript/TypeScript files to analyze...${this.ignoredFileCount > 0 ? ` (${this.ignoredFileCount} more excluded by ignorePaths)` : ''}`);
+
+    await this.loadFiles(folderPath, jsFiles);
+
+    this.resolveCalls();
+    this.floatingPromises = this.findFloatingPromises();
+    this.writeAudit = this.analyzeDocumentWrites();
+    this.moduleGraph = this.analyzeModuleGraph(folderPath);
+    this.hookAudit = this.analyzeHooks();
+    this.creditFrameworkMethods();
+    this.applicationAudit = this.analyzeApplications(folderPath);
+    this.complexityAudit = this.analyzeComplexity(folderPath);
+    this.duplicateAudit = this.findDuplicates();
     this.generateReport();
     this.writeReportToFile(folderPath);
   }
@@ -148,9 +416,195 @@ class FunctionAnalyzer {
     return filesList;
   }
 
-  async analyzeFile(filePath, relativePath) {
-    const content = fs.readFileSync(filePath, 'utf-8');
+  async loadFiles(folderPath, files) {
+    // Every file is analyzed on its own, so unchanged files come from the cache and the rest can be spread over worker threads
+    const cachePath = this.options.cache ? path.join(folderPath, this.cacheFolder) : null;
+    const parseKey = this.getParseKey();
+    const entries = [];
+
+    for (const file of files) {
+      let content;
+      try {
+        content = fs.readFileSync(path.join(folderPath, file), 'utf-8');
+      } catch (error) {
+        const errorMsg = `Error analyzing ${file}: ${error.message}`;
+        console.error(errorMsg);
+        this.errors.push(errorMsg);
+        continue;
+      }
+      const key = crypto.createHash('sha1').update(parseKey).update(content).digest('hex');
+      entries.push({ file, content, key, text: this.readCachedResult(cachePath, file, key) });
+    }
+
+    const changed = entries.filter(({ text }) => text === null);
+    const jobs = Math.min(this.options.jobs, Math.floor(changed.length / this.filesPerWorker));
+    let results = null;
+    if (jobs > 1) {
+      results = await this.analyzeInWorkers(changed, jobs).catch((error) => {
+        console.error(`Worker threads failed, analyzing on the main thread instead: ${error.message}`);
+        return null;
+      });
+    }
+    const usedWorkers = results !== null;
+    results ??= new Map(changed.map(({ file, content }) => [file, this.analyzeSourceText(file, content)]));
+
+    for (const entry of entries) {
+      const outcome = entry.text !== null ? { text: entry.text } : results.get(entry.file);
+      if (outcome.error) {
+        const errorMsg = `Error analyzing ${entry.file}: ${outcome.error}`;
+        console.error(errorMsg);
+        this.errors.push(errorMsg);
+        continue;
+      }
+      if (entry.text === null) this.writeCachedResult(cachePath, entry.file, entry.key, outcome.text);
+      this.mergeFileResult(entry.file, entry.content, this.deserializeResult(outcome.text));
+    }
+
+    this.pruneCache(cachePath, files);
+    this.log(`Reused ${entries.length - changed.length} unchanged files, analyzed ${changed.length}${usedWorkers ? ` on ${jobs} worker threads` : ''}`);
+  }
+
+  analyzeInWorkers(tasks, jobs) {
+    // Config names and patterns decide which functions are tracked, so the workers need them too
+    const suppressions = this.suppressions.filter(({ kind }) => kind === 'name' || kind === 'pattern');
+    const queue = [...tasks];
+    const results = new Map();
+
+    const run = () =>
+      new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { fileAnalysis: true, suppressions } });
+        let pending = null;
+        const fail = (error) => {
+          // The other workers stop after their current file, the caller analyzes everything on the main thread
+          queue.length = 0;
+          reject(error);
+        };
+        const next = () => {
+          pending = queue.shift() ?? null;
+          if (pending) worker.postMessage({ file: pending.file, content: pending.content });
+          else worker.terminate().then(resolve, reject);
+        };
+        worker.on('message', ({ file, ...outcome }) => {
+          results.set(file, outcome);
+          next();
+        });
+        worker.on('error', fail);
+        // process.exit() or an out of memory kill end the worker without an error event
+        worker.on('exit', (code) => {
+          if (pending) fail(new Error(`worker exited with code ${code} before reporting ${pending.file}`));
+        });
+        next();
+      });
+
+    return Promise.all(Array.from({ length: jobs }, run)).then(() => results);
+  }
+
+  getParseKey() {
+    // Cached results are only valid for this version of the analyzer and the config entries that filter functions while parsing
+    this.analyzerVersion ??= crypto.createHash('sha1').update(fs.readFileSync(__filename)).digest('hex');
+    const filters = this.suppressions.filter(({ kind }) => kind === 'name' || kind === 'pattern').map(({ name, regex }) => name ?? regex.source);
+    return JSON.stringify([this.analyzerVersion, filters]);
+  }
+
+  getCacheFile(cachePath, file) {
+    return path.join(cachePath, `${crypto.createHash('sha1').update(file.split(path.sep).join('/')).digest('hex')}.cache`);
+  }
+
+  readCachedResult(cachePath, file, key) {
+    const cached = this.fileCache.get(file);
+    if (cached?.key === key) return cached.text;
+    if (!cachePath) return null;
+
+    try {
+      // The first line holds the key, the rest is the serialized result
+      const content = fs.readFileSync(this.getCacheFile(cachePath, file), 'utf-8');
+      const newline = content.indexOf('\n');
+      if (content.slice(0, newline) !== key) return null;
+      const text = content.slice(newline + 1);
+      this.fileCache.set(file, { key, text });
+      return text;
+    } catch {
+      return null;
+    }
+  }
+
+  writeCachedResult(cachePath, file, key, text) {
+    this.fileCache.set(file, { key, text });
+    if (!cachePath) return;
 
+    try {
+      if (!fs.existsSync(cachePath)) {
+        fs.mkdirSync(cachePath, { recursive: true });
+        fs.writeFileSync(path.join(cachePath, '.gitignore'), '*\n', 'utf-8');
+      }
+      fs.writeFileSync(this.getCacheFile(cachePath, file), `${key}\n${text}`, 'utf-8');
+    } catch (error) {
+      console.error(`Error writing analysis cache for ${file}: ${error.message}`);
+    }
+  }
+
+  pruneCache(cachePath, files) {
+    if (!cachePath || !fs.existsSync(cachePath)) return;
+    const current = new Set(files.map((file) => path.basename(this.getCacheFile(cachePath, file))));
+    fs.readdirSync(cachePath)
+      .filter((name) => name.endsWith('.cache') && !current.has(name))
+      .forEach((name) => fs.rmSync(path.join(cachePath, name), { force: true }));
+  }
+
+  analyzeSourceText(file, content) {
+    try {
+      return { text: this.serializeResult(this.analyzeSource(file, content)) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  analyzeSource(file, content) {
+    // A fresh analyzer holds nothing from other files, so what it collects is exactly this file's share
+    const analyzer = new FunctionAnalyzer();
+    analyzer.suppressions = this.suppressions.filter(({ kind }) => kind === 'name' || kind === 'pattern').map((suppression) => ({ ...suppression, hits: new Set() }));
+    analyzer.analyzeFile(content, file);
+
+    const filters = analyzer.suppressions.filter(({ kind }) => kind === 'name' || kind === 'pattern');
+    return {
+      module: analyzer.modules.get(file),
+      classes: Array.from(analyzer.classes.values()),
+      functions: Array.from(analyzer.functions.values()),
+      pendingCalls: analyzer.pendingCalls,
+      hooks: analyzer.hooks,
+      discardedCallbacks: analyzer.discardedCallbacks,
+      suppressions: analyzer.suppressions.filter((suppression) => !filters.includes(suppression)).map(({ hits: _hits, ...suppression }) => suppression),
+      ignoredNames: Array.from(new Set(filters.flatMap(({ hits }) => Array.from(hits)))),
+      skippedFunctionCount: analyzer.skippedFunctionCount
+    };
+  }
+
+  serializeResult(result) {
+    return JSON.stringify(result, (_key, value) => (value instanceof Map ? { $map: Array.from(value) } : value instanceof Set ? { $set: Array.from(value) } : value));
+  }
+
+  deserializeResult(text) {
+    return JSON.parse(text, (_key, value) => (value?.$map ? new Map(value.$map) : value?.$set ? new Set(value.$set) : value));
+  }
+
+  mergeFileResult(file, content, result) {
+    this.modules.set(file, result.module);
+    this.sources.set(file, content.split(/\r?\n/));
+    result.classes.forEach((classInfo) => this.classes.set(classInfo.key, classInfo));
+    result.functions.forEach((func) => {
+      this.functions.set(func.id, func);
+      this.functionCalls.set(func.id, { callers: [], totalCalls: 0 });
+    });
+    this.pendingCalls.push(...result.pendingCalls);
+    this.hooks.push(...result.hooks);
+    this.discardedCallbacks.push(...result.discardedCallbacks);
+    result.suppressions.forEach((suppression) => this.suppressions.push({ ...suppression, hits: new Set() }));
+    // Checking the names again counts them as hits of the config entries that matched while parsing
+    result.ignoredNames.forEach((name) => this.isBlacklistedFunction(name));
+    this.skippedFunctionCount += result.skippedFunctionCount;
+  }
+
+  analyzeFile(content, relativePath) {
     let ast;
     try {
       ast = parser.parse(content, {
@@ -175,28 +629,315 @@ class FunctionAnalyzer {
       throw new Error(`Parse error: ${parseError.message}`);
     }
 
-    let currentClass = null;
+    const moduleInfo = { file: relativePath, bindings: new Map(), exports: new Map(), exportAll: [], imports: [] };
+    this.modules.set(relativePath, moduleInfo);
+    this.sources.set(relativePath, content.split(/\r?\n/));
+    (ast.comments ?? []).forEach((comment) => this.analyzeDirective(comment, relativePath));
 
     traverse(ast, {
-      ClassDeclaration: {
-        enter: (path) => {
-          currentClass = path.node.id ? path.node.id.name : 'AnonymousClass';
-        },
-        exit: () => {
-          currentClass = null;
-        }
+      Program: (path) => {
+        this.analyzeModuleScope(path, moduleInfo);
+      },
+
+      ExportNamedDeclaration: (path) => {
+        this.analyzeExport(path, moduleInfo);
+      },
+
+      ExportDefaultDeclaration: (path) => {
+        this.analyzeExport(path, moduleInfo);
+      },
+
+      ExportAllDeclaration: (path) => {
+        moduleInfo.exportAll.push(path.node.source.value);
+        moduleInfo.imports.push({ source: path.node.source.value, names: [], dynamic: false, line: path.node.loc ? path.node.loc.start.line : 'unknown' });
+      },
+
+      ImportDeclaration: (path) => {
+        this.analyzeImport(path, moduleInfo);
+      },
+
+      Class: (path) => {
+        this.analyzeClass(path, relativePath);
       },
 
       Function: (path) => {
-        this.analyzeFunction(path, relativePath, currentClass);
+        // forEach ignores what its callback returns, so an async callback's rejection is never handled
+        if (path.node.async && this.isForEachCallback(path)) {
+          this.discardedCallbacks.push({
+            file: relativePath,
+            line: path.node.loc ? path.node.loc.start.line : 'unknown',
+            column: this.getColumn(path.node),
+            caller: this.getEnclosingFunctionId(path, relativePath)
+          });
+        }
+        const classPath = path.findParent((parent) => parent.isClass());
+        this.analyzeFunction(path, relativePath, classPath ? this.getClassName(classPath) : null);
       },
 
       CallExpression: (path) => {
+        if (t.isImport(path.node.callee)) {
+          this.analyzeImport(path, moduleInfo);
+          return;
+        }
+        if (this.isHooksCall(path.node)) this.analyzeHook(path, relativePath);
         this.analyzeCall(path, relativePath);
       }
     });
   }
 
+  analyzeModuleScope(programPath, moduleInfo) {
+    // Top level bindings let imports and exports resolve to the function or class they name
+    for (const name of Object.keys(programPath.scope.bindings)) {
+      const ref = this.getBindingRef(programPath.scope, name, moduleInfo.file);
+      if (['function', 'class', 'import', 'namespace'].includes(ref.kind)) moduleInfo.bindings.set(name, ref);
+    }
+  }
+
+  analyzeImport(path, moduleInfo) {
+    const node = path.node;
+    const line = node.loc ? node.loc.start.line : 'unknown';
+
+    if (t.isCallExpression(node)) {
+      // import(`./parts/${name}.mjs`) can't be followed, but it is counted so orphans can be taken with a grain of salt
+      const [source] = node.arguments;
+      if (t.isStringLiteral(source)) moduleInfo.imports.push({ source: source.value, names: ['*'], dynamic: true, line });
+      else moduleInfo.imports.push({ source: null, names: ['*'], dynamic: true, line });
+      return;
+    }
+
+    const names = node.specifiers.map((specifier) => {
+      if (t.isImportDefaultSpecifier(specifier)) return 'default';
+      if (t.isImportNamespaceSpecifier(specifier)) return '*';
+      return t.isIdentifier(specifier.imported) ? specifier.imported.name : specifier.imported.value;
+    });
+    moduleInfo.imports.push({ source: node.source.value, names, dynamic: false, typeOnly: node.importKind === 'type', line });
+  }
+
+  analyzeExport(path, moduleInfo) {
+    const node = path.node;
+    const line = node.loc ? node.loc.start.line : 'unknown';
+
+    if (t.isExportDefaultDeclaration(node)) {
+      const declaration = node.declaration;
+      if (t.isIdentifier(declaration)) moduleInfo.exports.set('default', { local: declaration.name, line });
+      else if (declaration.id) moduleInfo.exports.set('default', { local: declaration.id.name, line });
+      else if (t.isFunction(declaration) && declaration.loc) moduleInfo.exports.set('default', { ref: { kind: 'function', id: `${moduleInfo.file}:default:${declaration.loc.start.line}` }, line });
+      else moduleInfo.exports.set('default', { line });
+      return;
+    }
+
+    if (node.declaration) {
+      const declaration = node.declaration;
+      if (declaration.id) {
+        moduleInfo.exports.set(declaration.id.name, { local: declaration.id.name, line });
+      } else if (t.isVariableDeclaration(declaration)) {
+        declaration.declarations.filter((declarator) => t.isIdentifier(declarator.id)).forEach((declarator) => moduleInfo.exports.set(declarator.id.name, { local: declarator.id.name, line }));
+      }
+      return;
+    }
+
+    node.specifiers.forEach((specifier) => {
+      const exported = t.isIdentifier(specifier.exported) ? specifier.exported.name : specifier.exported.value;
+      if (node.source) {
+        const imported = t.isExportNamespaceSpecifier(specifier) ? '*' : t.isExportDefaultSpecifier(specifier) ? 'default' : specifier.local.name;
+        moduleInfo.exports.set(exported, { source: node.source.value, imported, line });
+      } else {
+        moduleInfo.exports.set(exported, { local: specifier.local.name, line });
+      }
+    });
+    if (node.source) moduleInfo.imports.push({ source: node.source.value, names: [], dynamic: false, line });
+  }
+
+  analyzeClass(path, file) {
+    const node = path.node;
+    const key = this.getClassKey(path, file);
+    if (this.classes.has(key)) return;
+
+    let superClass = null;
+    if (t.isIdentifier(node.superClass)) {
+      superClass = this.getBindingRef(path.scope, node.superClass.name, file);
+    } else if (node.superClass) {
+      // Mixins and namespaced Foundry classes are never part of the analyzed code
+      superClass = { kind: 'external', name: this.getExpressionName(node.superClass) };
+    }
+
+    this.classes.set(key, {
+      key,
+      name: this.getClassName(path),
+      file,
+      line: node.loc ? node.loc.start.line : 'unknown',
+      superClass,
+      methods: new Map(),
+      staticMethods: new Map(),
+      actions: new Map(),
+      parts: []
+    });
+
+    this.analyzeApplicationOptions(path, file, this.classes.get(key));
+  }
+
+  analyzeApplicationOptions(path, file, classInfo) {
+    const options = (name) =>
+      path
+        .get('body.body')
+        .filter((member) => member.isClassProperty() && member.node.static && t.isIdentifier(member.node.key, { name }) && member.node.value)
+        .flatMap((member) => {
+          // DEFAULT_OPTIONS is sometimes built with foundry.utils.mergeObject(super.DEFAULT_OPTIONS, {...})
+          const value = member.get('value');
+          return value.isCallExpression() ? value.get('arguments').filter((arg) => arg.isObjectExpression()) : value.isObjectExpression() ? [value] : [];
+        });
+    const propertyOf = (objectPath, name) =>
+      objectPath.get('properties').find((property) => property.isObjectProperty() && (t.isIdentifier(property.node.key, { name }) || t.isStringLiteral(property.node.key, { value: name })));
+    const keyName = (property) => (t.isIdentifier(property.node.key) ? property.node.key.name : t.isStringLiteral(property.node.key) ? property.node.key.value : null);
+
+    for (const defaultOptions of options('DEFAULT_OPTIONS')) {
+      // Every function named in the options (actions, form handler, drag & drop callbacks) is called by Foundry
+      defaultOptions.traverse({
+        'ObjectMethod|FunctionExpression|ArrowFunctionExpression': (functionPath) => {
+          functionPath.skip();
+          const functionInfo = this.getFunctionInfo(functionPath.node, functionPath);
+          if (!functionInfo.shouldTrack || !functionPath.node.loc) return;
+          const line = functionPath.node.loc.start.line;
+          const target = { kind: 'function', id: `${file}:${functionInfo.name}:${line}` };
+          this.pendingCalls.push({ name: functionInfo.name, target, file, line, awaited: false, reference: 'action', caller: null, startup: false });
+        },
+        'Identifier|MemberExpression': (valuePath) => {
+          if (!valuePath.parentPath.isObjectProperty() || valuePath.key !== 'value') return;
+          valuePath.skip();
+          const name = t.isIdentifier(valuePath.node) ? valuePath.node.name : this.getCallName({ callee: valuePath.node });
+          if (!name) return;
+          this.pendingCalls.push({
+            name,
+            target: this.getCallTarget(valuePath, file, name, valuePath.node),
+            file,
+            line: valuePath.node.loc ? valuePath.node.loc.start.line : 'unknown',
+            awaited: false,
+            reference: 'action',
+            caller: null,
+            startup: false
+          });
+        }
+      });
+
+      const actions = propertyOf(defaultOptions, 'actions')?.get('value');
+      if (!actions?.isObjectExpression()) continue;
+      actions.get('properties').forEach((property) => {
+        const name = keyName(property);
+        if (name) classInfo.actions.set(name, { line: property.node.loc ? property.node.loc.start.line : 'unknown' });
+      });
+    }
+
+    for (const parts of options('PARTS')) {
+      parts.get('properties').forEach((part) => {
+        const value = part.get('value');
+        const template = value.isObjectExpression() ? propertyOf(value, 'template')?.node.value : null;
+        if (t.isStringLiteral(template)) classInfo.parts.push({ part: keyName(part), template: template.value, line: template.loc ? template.loc.start.line : 'unknown' });
+      });
+    }
+  }
+
+  getClassName(classPath) {
+    const node = classPath.node;
+    if (node.id) return node.id.name;
+    if (t.isVariableDeclarator(classPath.parent) && t.isIdentifier(classPath.parent.id)) return classPath.parent.id.name;
+    return 'AnonymousClass';
+  }
+
+  getClassKey(classPath, file) {
+    const line = classPath.node.loc ? classPath.node.loc.start.line : 'unknown';
+    return `${file}:${this.getClassName(classPath)}:${line}`;
+  }
+
+  getExpressionName(node) {
+    if (t.isIdentifier(node)) return node.name;
+    if (t.isThisExpression(node)) return 'this';
+    if (t.isMemberExpression(node) && !node.computed) {
+      const property = t.isPrivateName(node.property) ? `#${node.property.id.name}` : node.property.name;
+      return `${this.getExpressionName(node.object)}.${property}`;
+    }
+    if (t.isCallExpression(node)) return `${this.getExpressionName(node.callee)}(${node.arguments.map((arg) => this.getExpressionName(arg)).join(', ')})`;
+    if (t.isNewExpression(node)) return `new ${this.getExpressionName(node.callee)}(${node.arguments.map((arg) => this.getExpressionName(arg)).join(', ')})`;
+    if (t.isStringLiteral(node)) return `'${node.value}'`;
+    return node.type;
+  }
+
+  getBindingRef(scope, name, file) {
+    const binding = scope.getBinding(name);
+    if (!binding) return { kind: 'global', name };
+
+    const node = binding.path.node;
+
+    if (binding.kind === 'module') {
+      const source = binding.path.parent.source.value;
+      if (t.isImportDefaultSpecifier(node)) return { kind: 'import', file, source, imported: 'default' };
+      if (t.isImportNamespaceSpecifier(node)) return { kind: 'namespace', file, source };
+      return { kind: 'import', file, source, imported: t.isIdentifier(node.imported) ? node.imported.name : node.imported.value };
+    }
+
+    if (t.isFunctionDeclaration(node) && node.loc) {
+      return { kind: 'function', id: `${file}:${name}:${node.loc.start.line}` };
+    }
+
+    if (t.isClassDeclaration(node)) {
+      return { kind: 'class', key: this.getClassKey(binding.path, file) };
+    }
+
+    if (t.isVariableDeclarator(node) && node.init) {
+      const init = node.init;
+      if ((t.isArrowFunctionExpression(init) || t.isFunctionExpression(init)) && init.loc) {
+        return { kind: 'function', id: `${file}:${name}:${init.loc.start.line}` };
+      }
+      if (t.isClassExpression(init)) {
+        return { kind: 'class', key: this.getClassKey(binding.path.get('init'), file) };
+      }
+      // const sheet = new MySheet() is enough to know which class sheet.render() belongs to
+      if (t.isNewExpression(init) && t.isIdentifier(init.callee)) {
+        return { kind: 'instance', classRef: this.getBindingRef(binding.path.scope, init.callee.name, file) };
+      }
+    }
+
+    return { kind: 'local', name };
+  }
+
+  getThisContext(path, file) {
+    let isStatic = false;
+    let inMember = false;
+
+    for (let current = path.parentPath; current; current = current.parentPath) {
+      if (current.isClass()) {
+        return inMember ? { classKey: this.getClassKey(current, file), static: isStatic } : null;
+      }
+      if (inMember) continue;
+
+      if (current.isClassMethod() || current.isClassPrivateMethod() || current.isClassProperty() || current.isClassPrivateProperty()) {
+        isStatic = Boolean(current.node.static);
+        inMember = true;
+      } else if (current.isStaticBlock()) {
+        isStatic = true;
+        inMember = true;
+      } else if (current.isFunction() && !current.isArrowFunctionExpression()) {
+        // Regular functions and object methods bind their own this
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  getEnclosingFunctionId(path, file) {
+    for (let current = path.getFunctionParent(); current; current = current.parentPath?.getFunctionParent()) {
+      const functionId = this.getFunctionId(current, file);
+      if (functionId) return functionId;
+    }
+    return null;
+  }
+
+  getFunctionId(functionPath, file) {
+    if (!functionPath?.node.loc) return null;
+    const functionInfo = this.getFunctionInfo(functionPath.node, functionPath);
+    return functionInfo.shouldTrack ? `${file}:${functionInfo.name}:${functionPath.node.loc.start.line}` : null;
+  }
+
   analyzeFunction(path, file, className) {
     const node = path.node;
     const functionInfo = this.getFunctionInfo(node, path);
@@ -209,22 +950,53 @@ class FunctionAnalyzer {
       return;
     }
 
+    const functionId = `${file}:${functionInfo.name}:${line}`;
+
+    // Methods are registered even when blacklisted so this.x() still finds the right class
+    const member = t.isClassMethod(node) || t.isClassPrivateMethod(node) ? path : path.parentPath.isClassProperty() || path.parentPath.isClassPrivateProperty() ? path.parentPath : null;
+    const classPath = member?.parentPath.parentPath;
+    if (classPath?.isClass() && (member.node.kind ?? 'method') === 'method') {
+      const classInfo = this.classes.get(this.getClassKey(classPath, file));
+      classInfo?.[member.node.static ? 'staticMethods' : 'methods'].set(functionInfo.name, functionId);
+    }
+
     // Skip blacklisted functions
     if (this.isBlacklistedFunction(functionInfo.name)) {
       this.skippedFunctionCount++;
       return;
     }
 
-    const functionId = `${file}:${functionInfo.name}:${line}`;
+    const ignoreTag = this.getIgnoreTag(path);
+    if (ignoreTag) this.addSuppression({ kind: 'jsdoc', label: '@analyze-ignore', file, line: ignoreTag.line, target: line, functionId, rules: ignoreTag.rules });
 
     const awaitedOperations = [];
     const promiseOperations = [];
+    let returnsPromise = t.isArrowFunctionExpression(node) && this.isPromiseExpression(node.body);
 
+    // Nested functions and callbacks await and return on their own behalf
     path.traverse({
+      Function: (functionPath) => {
+        functionPath.skip();
+      },
+
+      ReturnStatement: (returnPath) => {
+        if (this.isPromiseExpression(returnPath.node.argument)) returnsPromise = true;
+      },
+
+      ForOfStatement: (loopPath) => {
+        if (!loopPath.node.await) return;
+        awaitedOperations.push({
+          line: loopPath.node.loc ? loopPath.node.loc.start.line : 'unknown',
+          column: this.getColumn(loopPath.node),
+          code: this.getCodeSnippet(loopPath, file)
+        });
+      },
+
       AwaitExpression: (awaitPath) => {
         awaitedOperations.push({
           line: awaitPath.node.loc ? awaitPath.node.loc.start.line : 'unknown',
-          code: this.getCodeSnippet(awaitPath)
+          column: this.getColumn(awaitPath.node),
+          code: this.getCodeSnippet(awaitPath, file)
         });
       },
 
@@ -232,98 +1004,1369 @@ class FunctionAnalyzer {
         if (this.isPromiseOperation(callPath.node)) {
           promiseOperations.push({
             line: callPath.node.loc ? callPath.node.loc.start.line : 'unknown',
-            code: this.getCodeSnippet(callPath)
+            column: this.getColumn(callPath.node),
+            code: this.getCodeSnippet(callPath, file)
           });
         }
       }
     });
 
     this.functions.set(functionId, {
+      id: functionId,
       name: functionInfo.name,
       async: isAsync,
       file,
       class: className,
+      classKey: classPath?.isClass() ? this.getClassKey(classPath, file) : null,
+      static: Boolean(member?.node.static),
       line,
+      column: this.getColumn(node),
       awaitedOperations,
       promiseOperations,
+      returnsPromise,
+      metrics: this.getComplexityMetrics(path),
+      fingerprint: this.getFingerprint(path),
       calls: [],
       awaitedCalls: []
     });
 
-    if (!this.functionCalls.has(functionInfo.name)) {
-      this.functionCalls.set(functionInfo.name, { callers: [], totalCalls: 0 });
+    if (!this.functionCalls.has(functionId)) {
+      this.functionCalls.set(functionId, { callers: [], totalCalls: 0 });
     }
   }
 
-  isBlacklistedFunction(functionName) {
-    // Direct blacklist match
-    if (this.functionBlacklist.has(functionName)) {
-      return true;
-    }
+  getComplexityMetrics(path) {
+    const node = path.node;
+    const metrics = { cyclomatic: 1, cognitive: 0, lines: node.loc ? node.loc.end.line - node.loc.start.line + 1 : 0, params: node.params.length, nesting: 0 };
+    let nesting = 0;
 
-    // Pattern matches for event handlers
-    const eventPatterns = [
-      /^on[A-Z]/, // onSomething
-      /^handle[A-Z]/, // handleSomething
-      /Handler$/, // somethingHandler
-      /Listener$/, // somethingListener
-      /Callback$/, // somethingCallback
-      /^_on[A-Z]/ // _onSomething (private event handlers)
-    ];
+    // Cognitive complexity follows SonarSource: structures cost more the deeper they are nested, else if and else cost one
+    const isElseIf = (current) => current.isIfStatement() && current.key === 'alternate' && current.parentPath.isIfStatement();
+    const isNested = (current) =>
+      current.isFunction() || (current.isIfStatement() && !isElseIf(current)) || current.isConditionalExpression() || current.isSwitchStatement() || current.isLoop() || current.isCatchClause();
 
-    return eventPatterns.some((pattern) => pattern.test(functionName));
-  }
+    path.traverse({
+      enter: (current) => {
+        if (current.isFunction()) {
+          // Named functions get their own metrics, callbacks add to the function they are written in
+          if (this.getFunctionInfo(current.node, current).shouldTrack) {
+            current.skip();
+            return;
+          }
+        } else if (isElseIf(current)) {
+          metrics.cyclomatic++;
+          metrics.cognitive++;
+        } else if (isNested(current)) {
+          if (!current.isSwitchStatement()) metrics.cyclomatic++;
+          metrics.cognitive += 1 + nesting;
+        } else if (current.isSwitchCase() && current.node.test) {
+          metrics.cyclomatic++;
+        } else if (current.isLogicalExpression()) {
+          // a && b && c is one sequence, a && b || c are two
+          metrics.cyclomatic++;
+          if (!t.isLogicalExpression(current.parent, { operator: current.node.operator })) metrics.cognitive++;
+        } else if ((current.isBreakStatement() || current.isContinueStatement()) && current.node.label) {
+          metrics.cognitive++;
+        }
 
-  analyzeCall(path, file) {
-    const node = path.node;
-    const functionName = this.getCallName(node);
+        if (current.isIfStatement() && current.node.alternate && !t.isIfStatement(current.node.alternate)) metrics.cognitive++;
+        if (isNested(current)) {
+          nesting++;
+          if (!current.isFunction()) metrics.nesting = Math.max(metrics.nesting, nesting);
+        }
+      },
+      exit: (current) => {
+        if (isNested(current)) nesting--;
+      }
+    });
 
-    if (!functionName) return;
+    return metrics;
+  }
 
-    const isAwaited = t.isAwaitExpression(path.parent);
-    const line = node.loc ? node.loc.start.line : 'unknown';
+  getFingerprint(path) {
+    // Locals are renamed in order of first use and literals masked, so copies that drifted apart in naming or constants still match
+    const tokens = [];
+    const blocks = [];
+    const starts = new Map();
 
-    if (!this.functionCalls.has(functionName)) {
-      this.functionCalls.set(functionName, { callers: [], totalCalls: 0 });
-    }
+    path.traverse({
+      enter: (nodePath) => {
+        // The name belongs to the declaration, two copies of a helper usually differ in nothing else
+        if (nodePath.parentPath === path && ['id', 'key'].includes(nodePath.key)) {
+          nodePath.skip();
+          return;
+        }
+        starts.set(nodePath.node, tokens.length);
+        tokens.push(this.getFingerprintToken(nodePath));
+      },
+      exit: (nodePath) => {
+        const node = nodePath.node;
+        const size = tokens.length - starts.get(node);
+        // Nested function declarations are compared as functions, the body itself as the whole function
+        if (!nodePath.isStatement() || nodePath.isFunctionDeclaration() || nodePath.parentPath === path || size < this.duplicateBlockFloor || !node.loc) return;
+        const { hash } = this.hashTokens(tokens.slice(starts.get(node)));
+        blocks.push({ hash, tokens: size, line: node.loc.start.line, endLine: node.loc.end.line });
+      }
+    });
 
-    const callInfo = this.functionCalls.get(functionName);
-    callInfo.callers.push({ file, line, awaited: isAwaited });
-    callInfo.totalCalls++;
+    const { hash, exactHash, normalized } = this.hashTokens(tokens);
+    // Shingles drop the local numbering too, one extra parameter would otherwise shift every name after it
+    const words = normalized.map((token) => (token.startsWith('$') ? '$' : token));
+    const shingles = new Set();
+    for (let index = 0; index + this.shingleSize <= words.length; index++) {
+      shingles.add(this.hashString(words.slice(index, index + this.shingleSize).join(' ')));
+    }
+    return { hash, exactHash, tokens: tokens.length, shingles: Array.from(shingles).sort((a, b) => a - b), blocks };
   }
 
-  getFunctionInfo(node, path) {
-    // Handle named function declarations
-    if (node.id && node.id.name) {
-      return { name: node.id.name, shouldTrack: true };
+  getFingerprintToken(nodePath) {
+    const node = nodePath.node;
+    if (nodePath.isIdentifier()) {
+      // Module level names and globals such as game or foundry stay, they are what the copies have in common
+      const binding = (nodePath.isReferencedIdentifier() || nodePath.isBindingIdentifier()) && nodePath.scope.getBinding(node.name);
+      return binding && !binding.scope.path.isProgram() ? { local: node.name } : `Identifier:${node.name}`;
     }
+    if (nodePath.isStringLiteral() || nodePath.isNumericLiteral() || nodePath.isBigIntLiteral() || nodePath.isRegExpLiteral() || nodePath.isTemplateElement()) {
+      return { literal: node.type, value: JSON.stringify(node.value ?? node.pattern) };
+    }
+    return node.operator ? `${node.type}:${node.operator}` : node.type;
+  }
 
-    // Handle class methods (constructors, methods, getters, setters)
-    if (t.isClassMethod(path.parent)) {
-      const method = path.parent;
-
-      // Constructor
-      if (method.kind === 'constructor') {
-        return { name: 'constructor', shouldTrack: true };
+  hashTokens(tokens) {
+    const names = new Map();
+    const normalized = [];
+    const exact = [];
+    for (const token of tokens) {
+      if (typeof token === 'string') {
+        normalized.push(token);
+        exact.push(token);
+      } else if (token.local) {
+        if (!names.has(token.local)) names.set(token.local, `$${names.size}`);
+        normalized.push(names.get(token.local));
+        exact.push(`Identifier:${token.local}`);
+      } else {
+        normalized.push(token.literal);
+        exact.push(`${token.literal}:${token.value}`);
       }
+    }
 
-      // Regular methods, getters, setters
-      if (t.isIdentifier(method.key)) {
-        const prefix = method.kind === 'get' ? 'get ' : method.kind === 'set' ? 'set ' : '';
-        return { name: `${prefix}${method.key.name}`, shouldTrack: true };
-      }
+    const digest = (list) => crypto.createHash('sha1').update(list.join(' ')).digest('hex').slice(0, 16);
+    return { hash: digest(normalized), exactHash: digest(exact), normalized };
+  }
 
-      // Computed property names like [Symbol.iterator]
-      if (method.computed && t.isMemberExpression(method.key)) {
-        return { name: `[${this.getComputedPropertyName(method.key)}]`, shouldTrack: true };
+  hashString(text) {
+    // FNV-1a, shingles only need a cheap 32 bit hash
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < text.length; index++) {
+      hash ^= text.charCodeAt(index);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  isBlacklistedFunction(functionName) {
+    // Direct blacklist match
+    if (this.functionBlacklist.has(functionName)) {
+      return true;
+    }
+
+    if (this.eventPatterns.some((pattern) => pattern.test(functionName))) {
+      return true;
+    }
+
+    // Names from the project config are counted so entries that match nothing can be reported
+    const matching = this.suppressions.filter(({ kind, name, regex }) => (kind === 'name' && name === functionName) || (kind === 'pattern' && regex.test(functionName)));
+    matching.forEach((suppression) => suppression.hits.add(functionName));
+    return matching.length > 0;
+  }
+
+  loadConfig(folderPath) {
+    // .analyze-functions.json: { "ignoreNames": [], "ignorePatterns": [], "ignorePaths": [], "rules": { "single-use": false }, "complexity": { "cognitive": 20 }, "duplicates": { "similarity": 0.9 }, "codeFrameLines": 2 }
+    const configPath = this.options.configPath ?? path.join(folderPath, '.analyze-functions.json');
+    if (!fs.existsSync(configPath)) {
+      if (this.options.configPath) console.error(`Config file not found: ${configPath}`);
+      return;
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      console.error(`Error reading ${configPath}: ${error.message}`);
+      return;
+    }
+
+    const file = path.basename(configPath);
+    Object.assign(this.complexityThresholds, config.complexity ?? {});
+    Object.assign(this.duplicateThresholds, config.duplicates ?? {});
+    if (Number.isInteger(config.codeFrameLines) && config.codeFrameLines >= 0) this.codeFrameLines = config.codeFrameLines;
+    (config.ignoreNames ?? []).forEach((name) => this.addSuppression({ kind: 'name', label: `ignoreNames "${name}"`, file, name }));
+    (config.ignorePatterns ?? []).forEach((pattern) => {
+      try {
+        this.addSuppression({ kind: 'pattern', label: `ignorePatterns /${pattern}/`, file, regex: new RegExp(pattern) });
+      } catch (error) {
+        console.error(`Invalid ignorePatterns entry in ${configPath}: ${error.message}`);
+      }
+    });
+    (config.ignorePaths ?? []).forEach((pattern) => this.addSuppression({ kind: 'path', label: `ignorePaths "${pattern}"`, file, regex: this.globToRegExp(pattern) }));
+    Object.entries(config.rules ?? {})
+      .filter(([, enabled]) => enabled === false || enabled === 'off')
+      .forEach(([rule]) => this.addSuppression({ kind: 'rule', label: `rules "${rule}" turned off`, file, rules: [rule] }));
+  }
+
+  globToRegExp(pattern) {
+    const tokens = { '**/': '(?:.*/)?', '**': '.*', '*': '[^/]*', '?': '[^/]' };
+    const source = pattern
+      .replace(/\\/g, '/')
+      .replace(/^\.\/|\/$/g, '')
+      .split(/(\*\*\/?|\*|\?)/)
+      .map((part) => tokens[part] ?? part.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+      .join('');
+    // A plain folder name covers everything inside it
+    return new RegExp(`^${source}(?:/.*)?$`);
+  }
+
+  addSuppression(suppression) {
+    const rules = suppression.rules?.length > 0 ? suppression.rules : null;
+    this.suppressions.push({ line: null, ...suppression, rules, unknownRules: (rules ?? []).filter((rule) => !this.rules.has(rule)), hits: new Set() });
+  }
+
+  analyzeDirective(comment, file) {
+    const match = comment.value.match(/^\s*analyze-ignore-(next-line|file)(?![\w-])([^\n]*)/);
+    if (!match || !comment.loc) return;
+    // Anything after "--" explains the suppression and is not a rule name
+    const rules = match[2]
+      .split('--')[0]
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    this.addSuppression({ kind: match[1], label: `analyze-ignore-${match[1]}`, file, line: comment.loc.start.line, target: comment.loc.end.line + 1, rules });
+  }
+
+  getIgnoreTag(path) {
+    // The doc comment of const fn = () => {} or export function fn() sits on an enclosing declaration
+    const declarations = [
+      'VariableDeclarator',
+      'VariableDeclaration',
+      'ExportNamedDeclaration',
+      'ExportDefaultDeclaration',
+      'AssignmentExpression',
+      'ExpressionStatement',
+      'ObjectProperty',
+      'ClassProperty',
+      'ClassPrivateProperty'
+    ];
+    const comments = [];
+    for (let current = path; current; current = declarations.includes(current.parentPath?.type) ? current.parentPath : null) {
+      comments.push(...(current.node.leadingComments ?? []));
+    }
+
+    for (const comment of comments) {
+      const match = comment.type === 'CommentBlock' && comment.value.startsWith('*') && comment.value.match(/@analyze-ignore(?![\w-])([^\n]*)/);
+      if (match && comment.loc)
+        return {
+          line: comment.loc.start.line,
+          rules: match[1]
+            .replace(/\*+$/, '')
+            .split('--')[0]
+            .split(/[\s,]+/)
+            .filter(Boolean)
+        };
+    }
+    return null;
+  }
+
+  isIgnoredPath(file) {
+    const normalized = file.split(path.sep).join('/');
+    const matching = this.suppressions.filter(({ kind, regex }) => kind === 'path' && regex.test(normalized));
+    matching.forEach((suppression) => suppression.hits.add(normalized));
+    return matching.length > 0;
+  }
+
+  isSuppressed(rule, { file, line = null, functionId = null }) {
+    const applies = (suppression) => !suppression.rules || suppression.rules.includes(rule);
+    const matching = this.suppressions.filter((suppression) => {
+      if (!applies(suppression)) return false;
+      if (suppression.kind === 'rule') return true;
+      if (suppression.kind === 'file') return suppression.file === file;
+      if (suppression.kind === 'next-line') return suppression.file === file && suppression.target === line;
+      // The tag also covers findings reported at the function itself, such as its export
+      if (suppression.kind === 'jsdoc') return (functionId !== null && suppression.functionId === functionId) || (suppression.file === file && suppression.target === line);
+      return false;
+    });
+    // Hits are keyed by finding, so the summary asking again doesn't count a suppression twice
+    matching.forEach((suppression) => suppression.hits.add(`${rule}:${file}:${line}`));
+    return matching.length > 0;
+  }
+
+  getFunctionLocation(func) {
+    return { file: func.file, line: func.line, column: func.column, functionId: func.id };
+  }
+
+  analyzeCall(path, file) {
+    const node = path.node;
+    const functionName = this.getCallName(node);
+
+    if (!functionName) return;
+
+    const isAwaited = t.isAwaitExpression(path.parent);
+    const line = node.loc ? node.loc.start.line : 'unknown';
+    const usage = this.getPromiseUsage(path);
+    const loopPath = this.getLoopPath(path);
+    const functionParent = path.getFunctionParent();
+
+    this.pendingCalls.push({
+      name: functionName,
+      target: this.getCallTarget(path, file, functionName),
+      file,
+      line,
+      column: this.getColumn(node),
+      awaited: isAwaited,
+      usage,
+      // Only a promise returned by the tracked function itself, not by a callback inside it, makes the function return a promise
+      returnedBy: usage === 'returned' ? this.getFunctionId(path.getFunctionParent(), file) : null,
+      knownPromise: this.isKnownPromiseCall(node),
+      ...(usage === 'discarded' && { expression: this.getExpressionName(node.callee) }),
+      write: this.isDocumentWrite(node) ? { method: functionName, receiver: this.getExpressionName(node.callee.object) } : null,
+      loop: loopPath ? { kind: this.getLoopKind(loopPath), line: loopPath.node.loc ? loopPath.node.loc.start.line : 'unknown' } : null,
+      independent: isAwaited && loopPath?.isLoop() ? this.isIndependentAwait(path, loopPath) : false,
+      scope: functionParent?.node.loc ? `${file}:${functionParent.node.loc.start.line}:${functionParent.node.loc.start.column}` : `${file}:module`,
+      caller: this.getEnclosingFunctionId(path, file),
+      startup: this.isStartupCode(path)
+    });
+  }
+
+  getPromiseUsage(path) {
+    let current = path;
+    for (;;) {
+      const parent = current.parentPath;
+      const passesThrough =
+        parent.isParenthesizedExpression() ||
+        parent.isTSAsExpression() ||
+        parent.isTSNonNullExpression() ||
+        (parent.isConditionalExpression() && current.key !== 'test') ||
+        (parent.isLogicalExpression() && current.key === 'right') ||
+        (parent.isSequenceExpression() && current.key === parent.node.expressions.length - 1);
+      if (passesThrough) {
+        current = parent;
+        continue;
+      }
+
+      // .catch() and .then(onFulfilled, onRejected) handle the rejection, .then() and .finally() pass it on to a new promise
+      if (parent.isMemberExpression() && current.key === 'object' && parent.key === 'callee' && t.isIdentifier(parent.node.property)) {
+        const method = parent.node.property.name;
+        if (method === 'catch' || (method === 'then' && parent.parent.arguments.length > 1)) return 'caught';
+        if (['then', 'finally'].includes(method)) {
+          current = parent.parentPath;
+          continue;
+        }
+      }
+      break;
+    }
+
+    const parent = current.parentPath;
+    if (parent.isAwaitExpression()) return 'awaited';
+    if (parent.isExpressionStatement()) return 'discarded';
+    if (parent.isUnaryExpression({ operator: 'void' })) return 'void';
+    if (parent.isReturnStatement() || parent.isYieldExpression() || (parent.isArrowFunctionExpression() && current.key === 'body')) {
+      return this.isForEachCallback(current.getFunctionParent()) ? 'discarded' : 'returned';
+    }
+    if (parent.isArrayExpression() && t.isCallExpression(parent.parent) && this.isPromiseCombinator(parent.parent)) return 'combined';
+    if ((parent.isCallExpression() || parent.isNewExpression()) && current.listKey === 'arguments') return this.isPromiseCombinator(parent.node) ? 'combined' : 'passed';
+    if (parent.isVariableDeclarator() || parent.isAssignmentExpression() || parent.isProperty() || parent.isArrayExpression()) return 'assigned';
+    return 'used';
+  }
+
+  isDocumentWrite(node) {
+    return t.isMemberExpression(node.callee) && t.isIdentifier(node.callee.property) && this.documentWriteMethods.has(node.callee.property.name) && this.isKnownPromiseCall(node);
+  }
+
+  getLoopPath(path) {
+    // The nearest loop body or iteration callback, a plain function in between means the call doesn't repeat with the loop
+    for (let current = path; current.parentPath; current = current.parentPath) {
+      if (current.parentPath.isLoop() && current.key === 'body') return current.parentPath;
+      if (current.isFunction()) {
+        const parent = current.parent;
+        const isIterationCallback =
+          current.listKey === 'arguments' &&
+          t.isCallExpression(parent) &&
+          t.isMemberExpression(parent.callee) &&
+          t.isIdentifier(parent.callee.property) &&
+          this.iterationMethods.has(parent.callee.property.name);
+        return isIterationCallback ? current : null;
+      }
+    }
+    return null;
+  }
+
+  getLoopKind(loopPath) {
+    if (loopPath.isFunction()) return `${loopPath.parent.callee.property.name}() callback`;
+    const labels = { ForStatement: 'for', ForInStatement: 'for…in', ForOfStatement: loopPath.node.await ? 'for await…of' : 'for…of', WhileStatement: 'while', DoWhileStatement: 'do…while' };
+    return `${labels[loopPath.type]} loop`;
+  }
+
+  isIndependentAwait(path, loopPath) {
+    // while loops and loops that break or return early usually need one result to decide on the next step
+    if (!loopPath.isFor()) return false;
+    let exitsEarly = false;
+    loopPath.get('body').traverse({
+      Function: (functionPath) => {
+        functionPath.skip();
+      },
+      'BreakStatement|ReturnStatement': () => {
+        exitsEarly = true;
+      }
+    });
+    if (exitsEarly) return false;
+
+    // An argument that an earlier iteration assigns, e.g. await next(previous), chains the iterations
+    let dependsOnLoopState = false;
+    path.traverse({
+      Identifier: (identifierPath) => {
+        const binding = identifierPath.isReferencedIdentifier() && identifierPath.scope.getBinding(identifierPath.node.name);
+        if (binding && !binding.path.isDescendant(loopPath) && binding.constantViolations.some((violation) => violation.isDescendant(loopPath))) dependsOnLoopState = true;
+      }
+    });
+    if (dependsOnLoopState) return false;
+
+    const resultUse = path.parentPath.parentPath;
+    if (resultUse.isExpressionStatement() || resultUse.isVariableDeclarator()) return true;
+    return resultUse.isCallExpression() && t.isMemberExpression(resultUse.node.callee) && t.isIdentifier(resultUse.node.callee.property, { name: 'push' });
+  }
+
+  isForEachCallback(functionPath) {
+    const parent = functionPath?.parent;
+    return Boolean(functionPath?.listKey === 'arguments' && t.isCallExpression(parent) && t.isMemberExpression(parent.callee) && t.isIdentifier(parent.callee.property, { name: 'forEach' }));
+  }
+
+  isPromiseCombinator(node) {
+    return (
+      t.isMemberExpression(node.callee) && t.isIdentifier(node.callee.object, { name: 'Promise' }) && t.isIdentifier(node.callee.property) && this.promiseCombinators.has(node.callee.property.name)
+    );
+  }
+
+  isKnownPromiseCall(node) {
+    const callee = node.callee;
+    if (t.isIdentifier(callee)) return this.promiseFunctions.has(callee.name);
+    if (!t.isMemberExpression(callee) || callee.computed || !t.isIdentifier(callee.property)) return false;
+
+    const method = callee.property.name;
+    const args = node.arguments;
+    if (t.isIdentifier(callee.object, { name: 'Promise' })) return this.promiseCombinators.has(method) || method === 'reject';
+    // foundry.utils.fromUuid(), foundry.applications.handlebars.renderTemplate()
+    if (this.promiseFunctions.has(method) || this.getExpressionName(callee) === 'game.settings.set') return true;
+    if (!this.promiseMethods.has(method) || ['Object', 'Reflect', 'Array', 'Map', 'Set', 'WeakMap', 'WeakSet'].includes(this.getExpressionName(callee.object))) return false;
+
+    // Map#delete(key) and Set#delete(value) share their name with Document#delete(operation)
+    if (method === 'delete') return args.length === 0 || t.isObjectExpression(args[0]);
+    // Roll#evaluate({ async: false }) is the synchronous form before v12
+    if (method === 'evaluate') {
+      return !args.some(
+        (arg) =>
+          t.isObjectExpression(arg) &&
+          arg.properties.some((property) => t.isObjectProperty(property) && t.isIdentifier(property.key, { name: 'async' }) && t.isBooleanLiteral(property.value, { value: false }))
+      );
+    }
+    return true;
+  }
+
+  isPromiseExpression(node) {
+    // Returned calls to functions and Foundry APIs are credited in findFloatingPromises once they are resolved
+    if (t.isNewExpression(node)) return t.isIdentifier(node.callee, { name: 'Promise' });
+    if (!t.isCallExpression(node) || !t.isMemberExpression(node.callee)) return false;
+    return t.isIdentifier(node.callee.object, { name: 'Promise' }) || (t.isIdentifier(node.callee.property) && ['then', 'catch', 'finally'].includes(node.callee.property.name));
+  }
+
+  getCallTarget(path, file, functionName, callee = path.node.callee) {
+    if (t.isIdentifier(callee)) {
+      const ref = this.getBindingRef(path.scope, callee.name, file);
+      return ['function', 'import', 'global'].includes(ref.kind) ? ref : { kind: 'unresolved', name: functionName };
+    }
+
+    if (!t.isMemberExpression(callee) || callee.computed) {
+      return { kind: 'unresolved', name: functionName };
+    }
+
+    const object = callee.object;
+
+    // super.x() starts the lookup at the parent class
+    if (t.isSuper(object)) {
+      const context = this.getThisContext(path, file);
+      return context ? { kind: 'method', classRef: { kind: 'super', key: context.classKey }, name: functionName, static: context.static } : { kind: 'unresolved', name: functionName };
+    }
+
+    // this.x() and this.constructor.x() dispatch through the enclosing class and any subclass overriding x
+    const isConstructor = t.isMemberExpression(object) && t.isThisExpression(object.object) && t.isIdentifier(object.property, { name: 'constructor' });
+    if (t.isThisExpression(object) || isConstructor) {
+      const context = this.getThisContext(path, file);
+      if (!context) return { kind: 'unresolved', name: functionName };
+      return { kind: 'method', classRef: { kind: 'class', key: context.classKey }, name: functionName, static: context.static || isConstructor, virtual: true };
+    }
+
+    if (t.isIdentifier(object)) {
+      const ref = this.getBindingRef(path.scope, object.name, file);
+      if (ref.kind === 'namespace') return { kind: 'import', file: ref.file, source: ref.source, imported: functionName };
+      if (ref.kind === 'instance') return { kind: 'method', classRef: ref.classRef, name: functionName, static: false, virtual: true };
+      if (['class', 'import', 'global'].includes(ref.kind)) return { kind: 'method', classRef: ref, name: functionName, static: true };
+    }
+
+    return { kind: 'unresolved', name: functionName };
+  }
+
+  resolveModulePath(fromFile, source) {
+    // Foundry serves the package from /modules/<id>/ or /systems/<id>/, which is the analyzed folder
+    const packagePath = source.match(/^\/(?:modules|systems)\/[^/]+\/(.*)$/);
+    if (!packagePath && !source.startsWith('.')) return null;
+
+    const base = packagePath ? path.normalize(packagePath[1]) : path.normalize(path.join(path.dirname(fromFile), source));
+    const candidates = [base, ...['.js', '.mjs', '.ts', '.jsx', '.tsx'].map((ext) => `${base}${ext}`), ...['index.js', 'index.mjs', 'index.ts'].map((index) => path.join(base, index))];
+    return candidates.find((candidate) => this.modules.has(candidate)) ?? null;
+  }
+
+  resolveExport(file, exportedName, seen = new Set()) {
+    const moduleInfo = this.modules.get(file);
+    if (!moduleInfo || seen.has(`${file}:${exportedName}`)) return null;
+    seen.add(`${file}:${exportedName}`);
+
+    if (exportedName === '*') return { kind: 'namespace', file };
+
+    const entry = moduleInfo.exports.get(exportedName);
+    if (entry?.ref) return entry.ref;
+    if (entry?.source) {
+      const source = this.resolveModulePath(file, entry.source);
+      return source ? this.resolveExport(source, entry.imported, seen) : null;
+    }
+    if (entry) return this.resolveRef(moduleInfo.bindings.get(entry.local) ?? { kind: 'global', name: entry.local }, seen);
+
+    for (const exportSource of moduleInfo.exportAll) {
+      const source = this.resolveModulePath(file, exportSource);
+      const ref = source && this.resolveExport(source, exportedName, seen);
+      if (ref) return ref;
+    }
+    return null;
+  }
+
+  resolveRef(ref, seen = new Set()) {
+    if (!ref) return null;
+
+    switch (ref.kind) {
+      case 'function':
+      case 'class':
+        return ref;
+      case 'import': {
+        const source = this.resolveModulePath(ref.file, ref.source);
+        return source ? this.resolveExport(source, ref.imported, seen) : null;
+      }
+      case 'super': {
+        const classInfo = this.classes.get(ref.key);
+        return classInfo ? this.resolveRef(classInfo.superClass, seen) : null;
+      }
+      case 'global': {
+        // Foundry loads non-module scripts into the global scope, so a unique top level name is unambiguous
+        const matches = [];
+        for (const moduleInfo of this.modules.values()) {
+          const binding = moduleInfo.bindings.get(ref.name);
+          if (binding && (binding.kind === 'function' || binding.kind === 'class')) matches.push(binding);
+        }
+        return matches.length === 1 ? matches[0] : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  findMethod(classKey, name, isStatic) {
+    const seen = new Set();
+    let classInfo = this.classes.get(classKey);
+
+    while (classInfo && !seen.has(classInfo.key)) {
+      seen.add(classInfo.key);
+      const methods = isStatic ? classInfo.staticMethods : classInfo.methods;
+      if (methods.has(name)) return { id: methods.get(name), external: false };
+
+      const parent = this.resolveRef(classInfo.superClass);
+      if (!parent) {
+        // The chain ends in a framework class (or nothing), the method is not ours
+        return { id: null, external: Boolean(classInfo.superClass) };
+      }
+      classInfo = this.classes.get(parent.key);
+    }
+    return { id: null, external: false };
+  }
+
+  getSubclasses(classKey) {
+    if (!this.subclasses) {
+      this.subclasses = new Map();
+      for (const classInfo of this.classes.values()) {
+        const parent = this.resolveRef(classInfo.superClass);
+        if (parent?.kind !== 'class') continue;
+        if (!this.subclasses.has(parent.key)) this.subclasses.set(parent.key, []);
+        this.subclasses.get(parent.key).push(classInfo.key);
+      }
+    }
+
+    const result = [];
+    const queue = [...(this.subclasses.get(classKey) ?? [])];
+    while (queue.length > 0) {
+      const key = queue.shift();
+      if (result.includes(key)) continue;
+      result.push(key);
+      queue.push(...(this.subclasses.get(key) ?? []));
+    }
+    return result;
+  }
+
+  resolveCall(call) {
+    const { target } = call;
+
+    if (target.kind === 'method') {
+      const classRef = this.resolveRef(target.classRef);
+      // Hooks.on(), game.settings.get() and friends are Foundry globals, not unknown receivers
+      if (classRef?.kind !== 'class') return { ids: [], external: target.classRef.kind === 'global' };
+
+      const { id, external } = this.findMethod(classRef.key, target.name, target.static);
+      const ids = id ? [id] : [];
+      if (target.virtual) {
+        this.getSubclasses(classRef.key).forEach((subclass) => {
+          const override = this.classes.get(subclass)[target.static ? 'staticMethods' : 'methods'].get(target.name);
+          if (override && !ids.includes(override)) ids.push(override);
+        });
+      }
+      return { ids, external: ids.length === 0 && external };
+    }
+
+    if (target.kind === 'unresolved') return { ids: [], external: false };
+
+    const ref = this.resolveRef(target);
+    return { ids: ref?.kind === 'function' ? [ref.id] : [], external: target.kind === 'import' && !ref };
+  }
+
+  resolveCalls() {
+    for (const call of this.pendingCalls) {
+      const { ids, external } = this.resolveCall(call);
+      call.ids = ids;
+      const caller = { file: call.file, line: call.line, column: call.column, awaited: call.awaited, caller: call.caller, startup: call.startup, ...(call.reference && { reference: call.reference }) };
+
+      if (ids.length > 0) {
+        ids.forEach((id) => {
+          if (!this.functionCalls.has(id)) this.functionCalls.set(id, { callers: [], totalCalls: 0 });
+          const callInfo = this.functionCalls.get(id);
+          callInfo.callers.push(caller);
+          callInfo.totalCalls++;
+        });
+      } else if (!external && !call.reference) {
+        // Calls on receivers of unknown type are kept apart instead of crediting every method with that name
+        if (!this.unresolvedCalls.has(call.name)) this.unresolvedCalls.set(call.name, { callers: [], totalCalls: 0 });
+        const callInfo = this.unresolvedCalls.get(call.name);
+        callInfo.callers.push(caller);
+        callInfo.totalCalls++;
+      }
+    }
+  }
+
+  callReturnsPromise(call) {
+    if (call.ids.length === 0) return call.knownPromise;
+    return call.ids.some((id) => this.functions.get(id)?.async || this.functions.get(id)?.returnsPromise);
+  }
+
+  findFloatingPromises() {
+    // A plain function that returns the promise of an async one hands the rejection on to its own callers
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const call of this.pendingCalls) {
+        const func = this.functions.get(call.returnedBy);
+        if (!func || func.async || func.returnsPromise || !this.callReturnsPromise(call)) continue;
+        func.returnsPromise = true;
+        changed = true;
+      }
+    }
+
+    const floating = this.pendingCalls
+      .filter((call) => call.usage === 'discarded' && this.callReturnsPromise(call))
+      .map(({ ids, expression, file, line, column, caller }) => {
+        const callee = ids.map((id) => this.functions.get(id)).find((func) => func?.async || func?.returnsPromise);
+        const reason = callee ? (callee.async ? 'async function' : 'returns a promise') : expression.startsWith('Promise.') ? 'promise combinator' : 'Foundry API returns a promise';
+        return { name: `${expression}()`, file, line, column, caller, callee: callee?.id ?? null, reason };
+      });
+    this.discardedCallbacks.forEach(({ file, line, column, caller }) =>
+      floating.push({ name: 'forEach(async …)', file, line, column, caller, callee: null, reason: 'forEach ignores the promise of an async callback' })
+    );
+
+    return floating
+      .filter(
+        ({ file, line, caller, callee }) =>
+          !this.isSuppressed('floating-promise', { file, line, functionId: caller }) && !(callee && this.isSuppressed('floating-promise', { file, line, functionId: callee }))
+      )
+      .sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+  }
+
+  analyzeDocumentWrites() {
+    // Calls that resolved to one of our functions are never Foundry writes, even when named update()
+    const writes = this.pendingCalls.filter((call) => call.write && call.ids.length === 0);
+    const writers = new Set(writes.map(({ caller }) => caller).filter(Boolean));
+    // Calling our own function that writes a document in a loop costs the same round trips
+    const writesDocuments = (call) => (call.write && call.ids.length === 0) || call.ids.some((id) => writers.has(id));
+    const location = ({ file, line, caller }) => ({ file, line, functionId: caller });
+
+    const loopWrites = this.pendingCalls
+      .filter((call) => call.loop && writesDocuments(call) && !this.isSuppressed('write-in-loop', location(call)))
+      .map((call) => ({ ...call, via: call.ids.find((id) => writers.has(id)) ?? null }));
+
+    const groups = new Map();
+    writes
+      .filter(({ loop, write }) => !loop && ['update', 'setFlag', 'unsetFlag'].includes(write.method))
+      .forEach((call) => {
+        const key = `${call.scope}:${call.write.receiver}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(call);
+      });
+    const repeatedWrites = Array.from(groups.values())
+      .filter((calls) => calls.length > 1 && !this.isSuppressed('repeated-write', location(calls[0])))
+      .map((calls) => ({ receiver: calls[0].write.receiver, file: calls[0].file, caller: calls[0].caller, calls }));
+
+    const loopAwaits = this.pendingCalls.filter((call) => call.independent && !writesDocuments(call) && !this.isSuppressed('sequential-await', location(call)));
+
+    return { loopWrites, repeatedWrites, loopAwaits };
+  }
+
+  isHooksCall(node) {
+    const callee = node.callee;
+    return (
+      t.isMemberExpression(callee) && t.isIdentifier(callee.object, { name: 'Hooks' }) && t.isIdentifier(callee.property) && ['on', 'once', 'off', 'call', 'callAll'].includes(callee.property.name)
+    );
+  }
+
+  analyzeHook(path, file) {
+    const node = path.node;
+    const method = node.callee.property.name;
+    const [nameNode, callbackNode] = node.arguments;
+    const line = node.loc ? node.loc.start.line : 'unknown';
+
+    let name = null;
+    let pattern = null;
+    if (t.isStringLiteral(nameNode)) {
+      name = nameNode.value;
+    } else if (t.isTemplateLiteral(nameNode)) {
+      if (nameNode.expressions.length === 0) name = nameNode.quasis[0].value.cooked;
+      else pattern = nameNode.quasis.map((quasi) => quasi.value.cooked).join('*');
+    }
+
+    this.hooks.push({ method, name, pattern, file, line, registeredIn: this.getHookRegistrationContext(path, file) });
+
+    // A function handed to Hooks.on/once is called by Foundry, so it is not dead code
+    if (!['on', 'once'].includes(method) || !callbackNode) return;
+
+    let callback = callbackNode;
+    let callbackPath = path.get('arguments.1');
+    if (t.isCallExpression(callback) && t.isMemberExpression(callback.callee) && t.isIdentifier(callback.callee.property, { name: 'bind' })) {
+      callback = callback.callee.object;
+      callbackPath = callbackPath.get('callee.object');
+    }
+
+    const callbackName = t.isIdentifier(callback) ? callback.name : t.isMemberExpression(callback) ? this.getCallName({ callee: callback }) : null;
+    if (!callbackName) return;
+
+    this.pendingCalls.push({
+      name: callbackName,
+      target: this.getCallTarget(callbackPath, file, callbackName, callback),
+      file,
+      line,
+      column: this.getColumn(node),
+      awaited: false,
+      reference: 'hook',
+      caller: this.getEnclosingFunctionId(path, file)
+    });
+  }
+
+  isStartupCode(path) {
+    const functionPath = path.getFunctionParent();
+    if (!functionPath) return true;
+
+    // Callbacks of init/setup/ready run once per page load, like top level code
+    const parent = functionPath.parentPath;
+    return parent.isCallExpression() && this.isHooksCall(parent.node) && t.isStringLiteral(parent.node.arguments[0]) && this.startupHooks.has(parent.node.arguments[0].value);
+  }
+
+  getHookRegistrationContext(path, file) {
+    return this.isStartupCode(path) ? null : (this.getEnclosingFunctionId(path, file) ?? 'callback');
+  }
+
+  runsOnce(functionId, seen = new Set()) {
+    if (seen.has(functionId)) return false;
+    seen.add(functionId);
+
+    // A function only ever called while starting up registers its listeners once as well
+    const callers = this.functionCalls.get(functionId)?.callers ?? [];
+    return callers.length > 0 && callers.every((call) => !call.reference && (call.startup || (call.caller && this.runsOnce(call.caller, seen))));
+  }
+
+  getEditDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const above = previous[j];
+        previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+        diagonal = above;
+      }
+    }
+    return previous[b.length];
+  }
+
+  isCoreHook(name, classNames) {
+    if (this.coreHooks.has(name)) return true;
+
+    const documentHook = name.match(/^(?:preCreate|create|preUpdate|update|preDelete|delete)(\w+)$/);
+    if (documentHook && this.coreDocuments.includes(documentHook[1])) return true;
+
+    const placeableHook = name.match(/^(?:draw|refresh|destroy|control|hover|paste)(\w+)$/);
+    if (placeableHook && this.corePlaceables.includes(placeableHook[1])) return true;
+
+    // Application hooks fire once for every class in the inheritance chain
+    const applicationHook = name.match(/^(?:render|close|get)(\w+?)(?:HeaderButtons|HeaderControls|EntryContext|ContextOptions)?$/);
+    return Boolean(applicationHook && (classNames.has(applicationHook[1]) || this.coreApplicationPattern.test(applicationHook[1])));
+  }
+
+  analyzeHooks() {
+    const classNames = new Set(Array.from(this.classes.values(), (classInfo) => classInfo.name));
+    const byName = new Map();
+    const dynamic = [];
+
+    for (const hook of this.hooks) {
+      if (!hook.name) {
+        dynamic.push(hook);
+        continue;
+      }
+      if (!byName.has(hook.name)) byName.set(hook.name, { name: hook.name, listeners: [], emitters: [], removals: [] });
+      const entry = byName.get(hook.name);
+      if (['on', 'once'].includes(hook.method)) entry.listeners.push(hook);
+      else if (hook.method === 'off') entry.removals.push(hook);
+      else entry.emitters.push(hook);
+    }
+
+    // Hooks.call(`${prefix}Roll`) style emitters may satisfy listeners we can't name statically
+    const emitterPatterns = dynamic
+      .filter(({ method, pattern }) => ['call', 'callAll'].includes(method) && pattern)
+      .map(
+        ({ pattern }) =>
+          new RegExp(
+            `^${pattern
+              .split('*')
+              .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+              .join('.*')}$`
+          )
+      );
+    const hooks = Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+    const emittedNames = hooks.filter(({ emitters }) => emitters.length > 0).map(({ name }) => name);
+    // A namespace we emit under is ours, so "mymod.rolld" is a typo rather than another package's hook
+    const ownNamespaces = new Set(emittedNames.filter((name) => name.includes('.')).map((name) => name.split('.')[0]));
+
+    const listened = hooks.filter(({ listeners }) => listeners.length > 0);
+    listened.forEach((hook) => {
+      if (hook.emitters.length > 0) hook.source = 'custom';
+      else if (this.isCoreHook(hook.name, classNames)) hook.source = 'core';
+      else if (emitterPatterns.some((pattern) => pattern.test(hook.name))) hook.source = 'custom';
+      else if (hook.name.includes('.') && !ownNamespaces.has(hook.name.split('.')[0])) hook.source = 'external';
+      else hook.source = 'unknown';
+    });
+
+    const knownNames = [...this.coreHooks, ...listened.filter(({ source }) => source !== 'unknown').map(({ name }) => name), ...emittedNames, ...Array.from(classNames, (name) => `render${name}`)];
+
+    // Suppressed registrations are dropped one by one, a hook is only reported while one of them is left
+    const unsuppressed = (rule, registrations) => registrations.filter(({ file, line, registeredIn }) => !this.isSuppressed(rule, { file, line, functionId: registeredIn ?? null }));
+
+    const missingEmitters = listened
+      .filter(({ source }) => source === 'unknown')
+      .map((hook) => ({ ...hook, listeners: unsuppressed('missing-hook-emitter', hook.listeners) }))
+      .filter(({ listeners }) => listeners.length > 0)
+      .map((hook) => {
+        const suggestion = knownNames
+          .filter((known, i, names) => names.indexOf(known) === i)
+          .map((known) => ({ known, distance: this.getEditDistance(hook.name, known) }))
+          .filter(({ known, distance }) => known !== hook.name && distance <= Math.max(2, Math.floor(hook.name.length / 8)))
+          .sort((a, b) => a.distance - b.distance)[0];
+        return { ...hook, suggestion: suggestion?.known ?? null };
+      });
+
+    // Hooks.on() inside code that runs more than once adds another listener every time
+    const leakingListeners = hooks.flatMap(({ name, listeners, removals }) =>
+      removals.length > 0
+        ? []
+        : unsuppressed(
+            'hook-cleanup',
+            listeners.filter(({ method, registeredIn }) => method === 'on' && registeredIn && !this.runsOnce(registeredIn))
+          ).map((listener) => ({ name, ...listener }))
+    );
+    const orphanRemovals = hooks
+      .filter(({ listeners, removals }) => removals.length > 0 && listeners.length === 0)
+      .flatMap(({ name, removals }) => unsuppressed('orphan-hook-removal', removals).map((removal) => ({ name, ...removal })));
+
+    return {
+      listened,
+      emitted: hooks.filter(({ emitters }) => emitters.length > 0),
+      missingEmitters,
+      unheardEmitters: hooks
+        .filter(({ emitters, listeners }) => emitters.length > 0 && listeners.length === 0)
+        .map((hook) => ({ ...hook, emitters: unsuppressed('unheard-hook', hook.emitters) }))
+        .filter(({ emitters }) => emitters.length > 0),
+      leakingListeners,
+      orphanRemovals,
+      dynamic
+    };
+  }
+
+  loadManifest(folderPath) {
+    for (const name of ['module.json', 'system.json']) {
+      const manifestPath = path.join(folderPath, name);
+      if (!fs.existsSync(manifestPath)) continue;
+      try {
+        return { name, data: JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) };
+      } catch (error) {
+        console.error(`Error reading ${manifestPath}: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  markExportUsed(usedExports, file, name, seen = new Set()) {
+    if (seen.has(`${file}:${name}`)) return;
+    seen.add(`${file}:${name}`);
+
+    if (!usedExports.has(file)) usedExports.set(file, new Set());
+    usedExports.get(file).add(name);
+
+    const moduleInfo = this.modules.get(file);
+    if (!moduleInfo) return;
+
+    // Barrel files pass the import on to the module that really declares the export
+    const entry = moduleInfo.exports.get(name);
+    if (entry?.source) {
+      const source = this.resolveModulePath(file, entry.source);
+      if (source) this.markExportUsed(usedExports, source, entry.imported, seen);
+    } else if (!entry || name === '*') {
+      moduleInfo.exportAll.forEach((exportSource) => {
+        const source = this.resolveModulePath(file, exportSource);
+        if (source) this.markExportUsed(usedExports, source, name, seen);
+      });
+    }
+  }
+
+  findImportCycles(edges) {
+    // Tarjan's strongly connected components, every component with more than one file is a cycle
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let index = 0;
+
+    const connect = (file) => {
+      indexes.set(file, index);
+      lowLinks.set(file, index);
+      index++;
+      stack.push(file);
+      onStack.add(file);
+
+      for (const target of edges.get(file) ?? []) {
+        if (!indexes.has(target)) {
+          connect(target);
+          lowLinks.set(file, Math.min(lowLinks.get(file), lowLinks.get(target)));
+        } else if (onStack.has(target)) {
+          lowLinks.set(file, Math.min(lowLinks.get(file), indexes.get(target)));
+        }
+      }
+
+      if (lowLinks.get(file) === indexes.get(file)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== file);
+        if (component.length > 1 || edges.get(file)?.has(file)) components.push(component);
+      }
+    };
+
+    Array.from(edges.keys()).forEach((file) => {
+      if (!indexes.has(file)) connect(file);
+    });
+
+    // Walk each component from its first file back to itself to get a readable import chain
+    return components.map((component) => {
+      const members = new Set(component);
+      const start = component.sort()[0];
+      const findChain = (file, chain) => {
+        for (const target of edges.get(file) ?? []) {
+          if (target === start) return [...chain, start];
+          if (members.has(target) && !chain.includes(target)) {
+            const found = findChain(target, [...chain, target]);
+            if (found) return found;
+          }
+        }
+        return null;
+      };
+      return { files: component, chain: findChain(start, [start]) ?? [...component, start] };
+    });
+  }
+
+  analyzeModuleGraph(folderPath) {
+    const edges = new Map();
+    const staticEdges = new Map();
+    const usedExports = new Map();
+    let unresolvedDynamicImports = 0;
+
+    for (const [file, moduleInfo] of this.modules) {
+      edges.set(file, new Set());
+      staticEdges.set(file, new Set());
+
+      moduleInfo.imports.forEach(({ source, names, dynamic, typeOnly }) => {
+        const target = source && this.resolveModulePath(file, source);
+        if (!target) {
+          if (dynamic && !source) unresolvedDynamicImports++;
+          return;
+        }
+        edges.get(file).add(target);
+        // Dynamic and type-only imports don't run the target during module evaluation, so they can't cause init order issues
+        if (!dynamic && !typeOnly) staticEdges.get(file).add(target);
+        names.forEach((name) => this.markExportUsed(usedExports, target, name));
+      });
+    }
+
+    const manifest = this.loadManifest(folderPath);
+    const entries = manifest ? [...(manifest.data.esmodules ?? []), ...(manifest.data.scripts ?? [])].map((entry) => path.normalize(entry.replace(/^[\\/]+/, ''))) : [];
+    const entrySet = new Set(entries.filter((entry) => this.modules.has(entry)));
+
+    // Whatever an entry point exports is public API for macros and other packages
+    entrySet.forEach((entry) => {
+      this.modules.get(entry).exports.forEach((_, name) => this.markExportUsed(usedExports, entry, name));
+      this.markExportUsed(usedExports, entry, '*');
+    });
+
+    const unusedExports = [];
+    for (const [file, moduleInfo] of this.modules) {
+      const used = usedExports.get(file) ?? new Set();
+      if (used.has('*')) continue;
+      moduleInfo.exports.forEach(({ line }, name) => {
+        if (!used.has(name) && !this.isSuppressed('unused-export', { file, line })) unusedExports.push({ name, file, line });
+      });
+    }
+
+    const reachable = new Set();
+    const queue = [...entrySet];
+    while (queue.length > 0) {
+      const file = queue.shift();
+      if (reachable.has(file)) continue;
+      reachable.add(file);
+      queue.push(...(edges.get(file) ?? []));
+    }
+
+    return {
+      manifest: manifest?.name ?? null,
+      entries,
+      missingEntries: entries.filter((entry) => !this.modules.has(entry)),
+      unusedExports,
+      orphans: manifest ? Array.from(this.modules.keys()).filter((file) => !reachable.has(file) && !this.isSuppressed('orphan-file', { file })) : [],
+      cycles: this.findImportCycles(staticEdges).filter(({ files }) => files.every((file) => !this.isSuppressed('import-cycle', { file }))),
+      unresolvedDynamicImports
+    };
+  }
+
+  extendsExternalClass(classKey) {
+    const seen = new Set();
+    let classInfo = this.classes.get(classKey);
+    while (classInfo && !seen.has(classInfo.key)) {
+      seen.add(classInfo.key);
+      const parent = this.resolveRef(classInfo.superClass);
+      if (!parent) return Boolean(classInfo.superClass);
+      classInfo = this.classes.get(parent.key);
+    }
+    return false;
+  }
+
+  creditFrameworkMethods() {
+    // Overrides of Application lifecycle methods are called by Foundry, not by our code
+    for (const func of this.functions.values()) {
+      if (!func.classKey || func.static || !this.frameworkMethods.has(func.name) || !this.extendsExternalClass(func.classKey)) continue;
+      const callInfo = this.getCallInfo(func);
+      callInfo.callers.push({ file: func.file, line: func.line, awaited: false, caller: null, startup: false, reference: 'framework' });
+      callInfo.totalCalls++;
+      this.functionCalls.set(func.id, callInfo);
+    }
+  }
+
+  resolveTemplatePath(folderPath, template) {
+    // PARTS templates are given relative to Foundry's data folder, e.g. modules/my-module/templates/sheet.hbs
+    const relative = template.replace(/^\/?(?:modules|systems)\/[^/]+\//, '');
+    const templatePath = path.join(folderPath, relative);
+    return fs.existsSync(templatePath) ? templatePath : null;
+  }
+
+  getTemplateActions(folderPath, templatePath, seen = new Set()) {
+    const actions = new Set();
+    if (!templatePath || seen.has(templatePath)) return actions;
+    seen.add(templatePath);
+
+    const content = fs.readFileSync(templatePath, 'utf-8');
+    for (const match of content.matchAll(/data-action\s*=\s*["']([^"'{}]+)["']/g)) actions.add(match[1].trim());
+
+    // Partials are rendered into the same element, so their buttons belong to the application too
+    for (const match of content.matchAll(/\{\{>\s*["']?([^"'\s}]+\.(?:hbs|html|handlebars))/g)) {
+      this.getTemplateActions(folderPath, this.resolveTemplatePath(folderPath, match[1]), seen).forEach((action) => actions.add(action));
+    }
+    return actions;
+  }
+
+  getClassChain(classKey) {
+    const chain = [];
+    let classInfo = this.classes.get(classKey);
+    while (classInfo && !chain.includes(classInfo)) {
+      chain.push(classInfo);
+      const parent = this.resolveRef(classInfo.superClass);
+      classInfo = parent?.kind === 'class' ? this.classes.get(parent.key) : null;
+    }
+    return chain;
+  }
+
+  analyzeApplications(folderPath) {
+    const scriptActions = new Set();
+    for (const file of this.modules.keys()) {
+      const content = this.sources.get(file).join('\n');
+      for (const match of content.matchAll(/data-action\s*=\s*\\?["']([^"'{}$\\]+)\\?["']|dataset\.action\s*=\s*["']([^"']+)["']/g)) scriptActions.add(match[1] ?? match[2]);
+    }
+
+    const templateActions = new Map();
+    const missingTemplates = [];
+    for (const classInfo of this.classes.values()) {
+      const actions = new Set();
+      classInfo.parts.forEach(({ part, template, line }) => {
+        const templatePath = this.resolveTemplatePath(folderPath, template);
+        if (!templatePath && !this.isSuppressed('missing-template', { file: classInfo.file, line })) missingTemplates.push({ className: classInfo.name, part, template, file: classInfo.file, line });
+        this.getTemplateActions(folderPath, templatePath).forEach((action) => actions.add(action));
+      });
+      templateActions.set(classInfo.key, actions);
+    }
+
+    const applications = [];
+    for (const classInfo of this.classes.values()) {
+      if (classInfo.actions.size === 0 && classInfo.parts.length === 0) continue;
+
+      // Actions are inherited, and a subclass template may use an action its parent registers
+      const chain = this.getClassChain(classInfo.key);
+      const available = new Set([...this.coreActions, ...chain.flatMap((ancestor) => Array.from(ancestor.actions.keys()))]);
+      const ownTemplateActions = new Set(chain.flatMap((ancestor) => Array.from(templateActions.get(ancestor.key) ?? [])));
+      const usedActions = new Set([...ownTemplateActions, ...this.getSubclasses(classInfo.key).flatMap((subclass) => Array.from(templateActions.get(subclass) ?? [])), ...scriptActions]);
+
+      const location = { file: classInfo.file, line: classInfo.line };
+      const missing = classInfo.parts.length > 0 ? Array.from(templateActions.get(classInfo.key)).filter((action) => !available.has(action) && !this.isSuppressed('missing-action', location)) : [];
+      const orphaned = Array.from(classInfo.actions.entries())
+        .filter(([action, { line }]) => !usedActions.has(action) && !this.isSuppressed('orphaned-action', { file: classInfo.file, line }))
+        .map(([action, { line }]) => ({ action, line }));
+
+      applications.push({ className: classInfo.name, file: classInfo.file, line: classInfo.line, actions: classInfo.actions.size, parts: classInfo.parts.length, missing, orphaned });
+    }
+
+    return { applications, missingTemplates };
+  }
+
+  loadGitChurn(folderPath) {
+    // Commits touching each file, relative to the analyzed folder, or null outside a git repository
+    try {
+      const log = execFileSync('git', ['log', '--no-merges', '--relative', '--format=', '--name-only', '--', '.'], {
+        cwd: folderPath,
+        encoding: 'utf-8',
+        maxBuffer: 256 * 1024 * 1024,
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+      const churn = new Map();
+      log
+        .split('\n')
+        .filter(Boolean)
+        .forEach((file) => churn.set(path.normalize(file), (churn.get(path.normalize(file)) ?? 0) + 1));
+      return churn;
+    } catch {
+      return null;
+    }
+  }
+
+  analyzeComplexity(folderPath) {
+    const churn = this.loadGitChurn(folderPath);
+    const thresholds = this.complexityThresholds;
+    const measured = Array.from(this.functions.values()).filter((func) => !this.isSuppressed('complexity', this.getFunctionLocation(func)));
+
+    const overThreshold = measured
+      .map((func) => ({ func, exceeded: Object.keys(thresholds).filter((metric) => func.metrics[metric] > thresholds[metric]) }))
+      .filter(({ exceeded }) => exceeded.length > 0)
+      .sort((a, b) => b.func.metrics.cognitive - a.func.metrics.cognitive);
+
+    // Complex, long code that keeps changing is where refactoring pays off first, so complexity and size are weighted by commits
+    const hotspots = measured
+      .map((func) => {
+        const commits = churn ? (churn.get(path.normalize(func.file)) ?? 0) : 1;
+        return { func, commits, score: (func.metrics.cognitive + Math.ceil(func.metrics.lines / 25)) * commits };
+      })
+      .filter(({ func, score }) => score > 0 && func.metrics.cognitive > 0)
+      .sort((a, b) => b.score - a.score || b.func.metrics.cognitive - a.func.metrics.cognitive)
+      .slice(0, 15);
+
+    return { thresholds, overThreshold, hotspots, gitHistory: churn !== null };
+  }
+
+  findDuplicates() {
+    const { functionTokens, similarTokens, similarity, blockTokens } = this.duplicateThresholds;
+    const byLocation = (a, b) => a.file.localeCompare(b.file) || a.line - b.line;
+    const functions = Array.from(this.functions.values()).sort(byLocation);
+    const candidates = functions.filter((func) => func.fingerprint.tokens >= functionTokens && !this.isSuppressed('duplicate-function', this.getFunctionLocation(func)));
+
+    // The same normalized body is a copy, even when locals were renamed or constants changed
+    const byHash = new Map();
+    candidates.forEach((func) => {
+      if (!byHash.has(func.fingerprint.hash)) byHash.set(func.fingerprint.hash, []);
+      byHash.get(func.fingerprint.hash).push(func);
+    });
+    const copies = Array.from(byHash.values())
+      .filter((functions) => functions.length > 1)
+      .map((functions) => ({ functions, identical: functions.every((func) => func.fingerprint.exactHash === functions[0].fingerprint.exactHash), tokens: functions[0].fingerprint.tokens }))
+      .sort((a, b) => b.tokens - a.tokens || b.functions.length - a.functions.length);
+
+    // Functions sharing a rare shingle are compared on all of them, so not every pair of functions has to be
+    const representatives = Array.from(byHash.values(), ([func]) => func).filter((func) => func.fingerprint.tokens >= similarTokens);
+    const postings = new Map();
+    representatives.forEach((func, index) =>
+      func.fingerprint.shingles.forEach((shingle) => {
+        if (!postings.has(shingle)) postings.set(shingle, []);
+        postings.get(shingle).push(index);
+      })
+    );
+    const pairs = new Set();
+    postings.forEach((indexes) => {
+      // Shingles found in many functions are boilerplate such as this.x = x and say nothing about copies
+      if (indexes.length > 50) return;
+      for (let i = 0; i < indexes.length; i++) {
+        for (let j = i + 1; j < indexes.length; j++) pairs.add(indexes[i] * representatives.length + indexes[j]);
+      }
+    });
+    const similar = Array.from(pairs, (key) => [representatives[Math.floor(key / representatives.length)], representatives[key % representatives.length]])
+      .filter(([a, b]) => !this.containsFunction(a, b) && !this.containsFunction(b, a))
+      .map((functions) => ({ functions, similarity: this.getSimilarity(functions[0].fingerprint.shingles, functions[1].fingerprint.shingles) }))
+      .filter((pair) => pair.similarity >= similarity)
+      .sort((a, b) => b.similarity - a.similarity || b.functions[0].fingerprint.tokens - a.functions[0].fingerprint.tokens);
+
+    const clusters = new Map();
+    const join = (functions) => {
+      const merged = new Set(functions.flatMap((func) => Array.from(clusters.get(func.id) ?? [func.id])));
+      merged.forEach((id) => clusters.set(id, merged));
+    };
+    copies.forEach(({ functions }) => join(functions));
+    similar.forEach(({ functions }) => join(functions));
+
+    // A nested tracked function fingerprints the same blocks as its parent, the innermost one is named in the report
+    const locations = new Map();
+    for (const func of functions) {
+      for (const block of func.fingerprint.blocks) {
+        if (block.tokens < blockTokens) continue;
+        const key = `${func.file}:${block.line}:${block.endLine}:${block.hash}`;
+        if (locations.get(key)?.func.fingerprint.tokens <= func.fingerprint.tokens) continue;
+        locations.set(key, { ...block, file: func.file, func });
+      }
+    }
+    const byBlockHash = new Map();
+    locations.forEach((location) => {
+      if (!byBlockHash.has(location.hash)) byBlockHash.set(location.hash, []);
+      byBlockHash.get(location.hash).push(location);
+    });
+
+    const contains = (outer, inner) => outer.file === inner.file && outer.line <= inner.line && outer.endLine >= inner.endLine;
+    const blocks = [];
+    Array.from(byBlockHash.values())
+      .filter((group) => group.length > 1)
+      .map((group) => group.filter(({ file, line, func }) => !this.isSuppressed('duplicate-block', { file, line, functionId: func.id })).sort(byLocation))
+      .filter((group) => {
+        // Blocks of functions already reported as copies of each other add nothing
+        const ids = new Set(group.map(({ func }) => func.id));
+        const cluster = clusters.get(group[0]?.func.id);
+        return group.length > 1 && (ids.size === 1 || !cluster || !Array.from(ids).every((id) => cluster.has(id)));
+      })
+      .sort((a, b) => b[0].tokens - a[0].tokens)
+      .forEach((group) => {
+        // Statements inside a duplicated block are duplicated too, only the outermost block is reported
+        if (group.every((location) => blocks.some((kept) => kept.locations.some((outer) => contains(outer, location))))) return;
+        blocks.push({ tokens: group[0].tokens, locations: group });
+      });
+
+    return { thresholds: this.duplicateThresholds, copies, similar, blocks };
+  }
+
+  containsFunction(outer, inner) {
+    return outer !== inner && outer.file === inner.file && outer.line <= inner.line && outer.line + outer.metrics.lines >= inner.line + inner.metrics.lines;
+  }
+
+  getSimilarity(a, b) {
+    // Jaccard index of two sorted shingle lists
+    let shared = 0;
+    for (let i = 0, j = 0; i < a.length && j < b.length;) {
+      if (a[i] === b[j]) {
+        shared++;
+        i++;
+        j++;
+      } else if (a[i] < b[j]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+    return shared / (a.length + b.length - shared);
+  }
+
+  getCallInfo(func) {
+    return this.functionCalls.get(func.id) ?? { callers: [], totalCalls: 0 };
+  }
+
+  getUnresolvedCalls(func) {
+    return this.unresolvedCalls.get(func.name) ?? null;
+  }
+
+  getUsageCategory(func) {
+    const callInfo = this.getCallInfo(func);
+    if (callInfo.callers.some((call) => call.reference)) return 'entry-point';
+    if (callInfo.totalCalls === 0) return this.getUnresolvedCalls(func) ? 'unresolved' : 'unused';
+    return callInfo.totalCalls === 1 ? 'single-use' : 'multi-use';
+  }
+
+  getFunctionInfo(node, path) {
+    // Handle named function declarations
+    if (node.id && node.id.name) {
+      return { name: node.id.name, shouldTrack: true };
+    }
+
+    // Handle class methods (constructors, methods, getters, setters)
+    if (t.isClassMethod(node) || t.isClassPrivateMethod(node)) {
+      const method = node;
+
+      // Constructor
+      if (method.kind === 'constructor') {
+        return { name: 'constructor', shouldTrack: true };
+      }
+
+      // Regular methods, getters, setters
+      if (t.isIdentifier(method.key) || t.isPrivateName(method.key)) {
+        const prefix = method.kind === 'get' ? 'get ' : method.kind === 'set' ? 'set ' : '';
+        const name = t.isPrivateName(method.key) ? `#${method.key.id.name}` : method.key.name;
+        return { name: `${prefix}${name}`, shouldTrack: true };
+      }
+
+      // Computed property names like [Symbol.iterator]
+      if (method.computed && t.isMemberExpression(method.key)) {
+        return { name: `[${this.getComputedPropertyName(method.key)}]`, shouldTrack: true };
       }
 
       return { name: 'anonymous method', shouldTrack: false };
     }
 
     // Handle object methods
-    if (t.isObjectMethod(path.parent)) {
-      const method = path.parent;
+    if (t.isObjectMethod(node)) {
+      const method = node;
 
       if (t.isIdentifier(method.key)) {
         const prefix = method.kind === 'get' ? 'get ' : method.kind === 'set' ? 'set ' : '';
@@ -354,6 +2397,9 @@ class FunctionAnalyzer {
         if (t.isStringLiteral(parent.key)) {
           return { name: parent.key.value, shouldTrack: true };
         }
+        if (t.isPrivateName(parent.key)) {
+          return { name: `#${parent.key.id.name}`, shouldTrack: true };
+        }
         if (parent.computed && t.isMemberExpression(parent.key)) {
           return { name: `[${this.getComputedPropertyName(parent.key)}]`, shouldTrack: true };
         }
@@ -390,16 +2436,23 @@ class FunctionAnalyzer {
       if (t.isIdentifier(node.callee.property)) {
         return node.callee.property.name;
       }
+      if (t.isPrivateName(node.callee.property)) {
+        return `#${node.callee.property.id.name}`;
+      }
     }
 
     return null;
   }
 
   isPromiseOperation(node) {
+    if (this.isKnownPromiseCall(node)) {
+      return true;
+    }
+
     if (t.isMemberExpression(node.callee)) {
       const property = node.callee.property;
-      if (t.isIdentifier(property)) {
-        return ['then', 'catch', 'finally'].includes(property.name);
+      if (t.isIdentifier(property) && ['then', 'catch', 'finally'].includes(property.name)) {
+        return true;
       }
     }
 
@@ -410,12 +2463,54 @@ class FunctionAnalyzer {
     return false;
   }
 
-  getCodeSnippet(path) {
-    try {
-      return `${path.node.type}`;
-    } catch {
-      return 'unknown';
+  getColumn(node) {
+    // 1-based like the line, so file:line:col locations open at the right spot in editors
+    return node.loc ? node.loc.start.column + 1 : null;
+  }
+
+  getCodeSnippet(path, file) {
+    const { loc } = path.node;
+    const source = loc && this.sources.get(file)?.[loc.start.line - 1];
+    if (!source) return path.node.type;
+
+    const code = source.slice(loc.start.column, loc.end.line === loc.start.line ? loc.end.column : undefined).trim();
+    return code.length > 80 ? `${code.slice(0, 79)}…` : code;
+  }
+
+  formatLocation({ file, line, column = null }) {
+    return `${file}:${line}${column ? `:${column}` : ''}`;
+  }
+
+  getFunctionLabel(func) {
+    return `${func.class ? `${func.class}.` : ''}${func.name}`;
+  }
+
+  getCodeFrame({ file, line, column = null }) {
+    const lines = this.sources.get(file);
+    if (!lines || typeof line !== 'number' || lines[line - 1] === undefined) return [];
+
+    const first = Math.max(1, line - this.codeFrameLines);
+    const last = Math.min(lines.length, line + this.codeFrameLines);
+    const width = String(last).length;
+    // Tabs are expanded so the caret lines up, minified lines are cut off
+    const display = (text) => {
+      const expanded = text.replace(/\t/g, '  ').trimEnd();
+      return expanded.length > 160 ? `${expanded.slice(0, 159)}…` : expanded;
+    };
+
+    const frame = [];
+    for (let number = first; number <= last; number++) {
+      frame.push(`${number === line ? '>' : ' '} ${String(number).padStart(width)} | ${display(lines[number - 1])}`.trimEnd());
+      if (number === line && column) {
+        const offset = lines[number - 1].slice(0, column - 1).replace(/\t/g, '  ').length;
+        if (offset < 160) frame.push(`  ${' '.repeat(width)} | ${' '.repeat(offset)}^`);
+      }
     }
+    return frame;
+  }
+
+  logCodeFrame(location, indent = '     ') {
+    this.getCodeFrame(location).forEach((frameLine) => this.log(`${indent}${frameLine}`));
   }
 
   generateReport() {
@@ -435,191 +2530,603 @@ class FunctionAnalyzer {
       this.log('');
     }
 
-    this.generateFunctionList();
-    this.generateAsyncValidationReport();
-    this.generateUsageReport();
-    this.generateSummary();
-    this.generateRecommendations();
+    this.generateFunctionList();
+    this.generateAsyncValidationReport();
+    this.generateDocumentWriteReport();
+    this.generateUsageReport();
+    this.generateComplexityReport();
+    this.generateDuplicateReport();
+    this.generateModuleGraphReport();
+    this.generateHooksReport();
+    this.generateApplicationReport();
+    this.generateSuppressionReport();
+    this.generateSummary();
+    this.generateRecommendations();
+  }
+
+  generateFunctionList() {
+    this.log('\n📋 FUNCTION INVENTORY');
+    this.log('-'.repeat(60));
+    this.log('This section lists all trackable functions found in your codebase, organized by file and class.');
+    this.log('⚡ = Async function | 🔧 = Synchronous function');
+    this.log('');
+
+    const byFile = new Map();
+
+    for (const [functionId, func] of this.functions) {
+      if (!byFile.has(func.file)) {
+        byFile.set(func.file, []);
+      }
+      byFile.get(func.file).push(func);
+    }
+
+    // Only show files that have trackable functions
+    const filesToShow = Array.from(byFile.entries()).filter(([file, functions]) => functions.length > 0);
+
+    for (const [file, functions] of filesToShow) {
+      this.log(`📁 ${file} (${functions.length} trackable functions)`);
+
+      const byClass = new Map();
+      byClass.set(null, []);
+
+      for (const func of functions) {
+        if (!byClass.has(func.class)) {
+          byClass.set(func.class, []);
+        }
+        byClass.get(func.class).push(func);
+      }
+
+      for (const [className, classFunctions] of byClass) {
+        if (className && classFunctions.length > 0) {
+          this.log(`  🏛️  Class: ${className} (${classFunctions.length} methods)`);
+        }
+
+        for (const func of classFunctions) {
+          const asyncMarker = func.async ? '⚡' : '🔧';
+          const indent = className ? '    ' : '  ';
+          const callCount = this.getCallInfo(func)?.totalCalls || 0;
+          this.log(`${indent}${asyncMarker} ${func.name} (line ${func.line}) - Called ${callCount} times`);
+        }
+      }
+      this.log('');
+    }
+  }
+
+  generateAsyncValidationReport() {
+    this.log('\n🔍 ASYNC/AWAIT VALIDATION');
+    this.log('-'.repeat(60));
+    this.log('This section identifies potential issues with async/await usage patterns.');
+    this.log('Floating promises come first because they hide real errors, the style issues after');
+    this.log('them only cost a little performance or readability.');
+    this.log('');
+
+    if (this.floatingPromises.length > 0) {
+      this.log('🔥 FLOATING PROMISES (Unhandled Rejections):');
+      this.log('   These calls return a promise that is neither awaited, returned, combined nor caught.');
+      this.log('   If it rejects, the error is lost and the code after the call runs before it finishes.');
+      this.log('   💡 Await or return the promise, add .catch(), or prefix intentional fire-and-forget calls with "void".');
+      this.log('');
+
+      for (const floating of this.floatingPromises) {
+        this.log(`   • ${floating.name} (${this.formatLocation(floating)})${this.getCallerLabel(floating.caller)} - ${floating.reason}`);
+        this.logCodeFrame(floating);
+        this.log('');
+      }
+    }
+
+    let issues = this.floatingPromises.length;
+
+    for (const [functionId, func] of this.functions) {
+      const { unnecessaryAsync, unnecessaryAwait } = this.getAsyncIssues(func);
+      const issues_for_function = [];
+
+      // Check if async function has awaitable operations
+      if (unnecessaryAsync) {
+        issues_for_function.push('⚠️  UNNECESSARY ASYNC: This function is marked async but never awaits anything itself.');
+        issues_for_function.push(...this.getCodeFrame(func).map((frameLine) => `    ${frameLine}`));
+        issues_for_function.push('    💡 Consider removing the "async" keyword to improve performance.');
+      }
+
+      // Check if a function that returns no promise is called with await
+      if (unnecessaryAwait.length > 0) {
+        issues_for_function.push(`⚠️  UNNECESSARY AWAIT: This function is not async and returns no promise, but is called with "await" in:`);
+        for (const call of unnecessaryAwait) {
+          issues_for_function.push(`    ${this.formatLocation(call)}${this.getCallerLabel(call.caller)}`);
+          issues_for_function.push(...this.getCodeFrame(call).map((frameLine) => `      ${frameLine}`));
+        }
+        issues_for_function.push('    💡 Remove "await" from these calls as they\'re not needed.');
+      }
+
+      if (issues_for_function.length > 0) {
+        issues += Number(unnecessaryAsync) + unnecessaryAwait.length;
+        this.log(`❌ ${this.getFunctionLabel(func)} (${this.formatLocation(func)})`);
+        for (const issue of issues_for_function) {
+          this.log(`   ${issue}`);
+        }
+        this.log('');
+      }
+    }
+
+    if (issues === 0) {
+      this.log('✅ EXCELLENT! No async/await issues found in your trackable functions.');
+      this.log('   Your async patterns are properly implemented.');
+    } else {
+      this.log(`📊 Total async/await issues found: ${issues} (${this.floatingPromises.length} floating promises)`);
+      this.log('   Fixing these issues will improve code reliability and performance.');
+    }
+  }
+
+  getCallerLabel(functionId) {
+    const func = this.functions.get(functionId);
+    return func ? ` in ${func.class ? `${func.class}.` : ''}${func.name}` : '';
+  }
+
+  getBatchSuggestion(method) {
+    const suggestions = {
+      create: 'collect the data and call createDocuments() or parent.createEmbeddedDocuments() once',
+      update: 'collect the changes and call updateDocuments() or parent.updateEmbeddedDocuments() once',
+      delete: 'collect the ids and call deleteDocuments() or parent.deleteEmbeddedDocuments() once',
+      setFlag: 'write the flags as "flags.<scope>.<key>" paths in one batched update',
+      unsetFlag: 'remove the flags with "flags.<scope>.-=<key>" paths in one batched update'
+    };
+    if (suggestions[method]) return suggestions[method];
+    return method?.endsWith('Documents') ? 'build one array across all iterations and make a single call after the loop' : 'move the write out of the loop or let the function accept a list';
+  }
+
+  generateDocumentWriteReport() {
+    const { loopWrites, repeatedWrites, loopAwaits } = this.writeAudit;
+
+    this.log('\n🐢 DOCUMENT WRITE PERFORMANCE');
+    this.log('-'.repeat(60));
+    this.log('Every create, update or delete is a separate server round trip followed by a re-render');
+    this.log('of every sheet showing the document. This section finds writes that could be batched.');
+    this.log('');
+
+    if (loopWrites.length > 0) {
+      this.log('📝 WRITES INSIDE LOOPS:');
+      this.log('   One request per iteration, and with await each one waits for the previous to finish.');
+      this.log('');
+      for (const { write, via, name, file, line, caller, loop } of loopWrites) {
+        const writer = via ? this.functions.get(via) : null;
+        const label = writer ? `${name}() (writes documents)` : `${write.receiver}.${write.method}()`;
+        this.log(`   • ${label} (${file}:${line}) in ${loop.kind}${this.getCallerLabel(caller)}`);
+        this.log(`     💡 ${this.getBatchSuggestion(writer ? null : write.method)}`);
+      }
+      this.log('');
+    }
+
+    if (repeatedWrites.length > 0) {
+      this.log('🔂 REPEATED WRITES TO THE SAME DOCUMENT:');
+      this.log('   Each call below triggers its own update and render cycle for the same document.');
+      this.log('   💡 Merge them into a single update(), flags can be set with "flags.<scope>.<key>" paths.');
+      this.log('');
+      for (const { receiver, file, caller, calls } of repeatedWrites) {
+        this.log(`   • ${receiver}: ${calls.map(({ write }) => `${write.method}()`).join(', ')}${this.getCallerLabel(caller)} (${file}:${calls.map(({ line }) => line).join(', ')})`);
+      }
+      this.log('');
+    }
+
+    if (loopAwaits.length > 0) {
+      this.log('⏳ SEQUENTIAL AWAITS IN LOOPS:');
+      this.log("   These awaits don't depend on an earlier iteration, yet each one waits for the last.");
+      this.log('   💡 Start them together, e.g. await Promise.all(list.map((entry) => work(entry))).');
+      this.log('');
+      for (const { name, file, line, caller, loop } of loopAwaits) {
+        this.log(`   • ${name}() (${file}:${line}) in ${loop.kind}${this.getCallerLabel(caller)}`);
+      }
+      this.log('');
+    }
+
+    if (loopWrites.length === 0 && repeatedWrites.length === 0 && loopAwaits.length === 0) {
+      this.log('✅ No document writes in loops, repeated updates or sequential awaits found.');
+    }
+  }
+
+  generateUsageReport() {
+    this.log('\n📞 FUNCTION USAGE ANALYSIS');
+    this.log('-'.repeat(60));
+    this.log('This section analyzes how often your trackable functions are called and identifies');
+    this.log('opportunities for code optimization and cleanup. Only functions that can be');
+    this.log('referenced by name elsewhere in the code are considered.');
+    this.log('');
+
+    const unused = [];
+    const unresolved = [];
+    const entryPoints = [];
+    const singleUse = [];
+    const multiUse = [];
+
+    for (const [functionId, func] of this.functions) {
+      const callInfo = this.getCallInfo(func);
+      const usage = this.getUsageCategory(func);
+
+      if (usage === 'entry-point') {
+        entryPoints.push({ func, callInfo });
+      } else if (usage === 'unresolved') {
+        if (!this.isSuppressed('unresolved', this.getFunctionLocation(func))) unresolved.push({ func, callInfo: this.getUnresolvedCalls(func) });
+      } else if (usage === 'unused') {
+        if (!this.isSuppressed('unused', this.getFunctionLocation(func))) unused.push(func);
+      } else if (usage === 'single-use') {
+        if (!this.isSuppressed('single-use', this.getFunctionLocation(func))) singleUse.push({ func, callInfo });
+      } else {
+        multiUse.push({ func, callInfo });
+      }
+    }
+
+    if (unused.length > 0) {
+      this.log('🚫 UNUSED FUNCTIONS (Dead Code):');
+      this.log('   These named functions are never called and can likely be removed to reduce');
+      this.log('   codebase size and maintenance burden.');
+      this.log('');
+
+      // Show ALL unused functions, no limiting
+      for (const func of unused) {
+        this.log(`   • ${this.getFunctionLabel(func)} (${this.formatLocation(func)})`);
+        this.logCodeFrame(func);
+        this.log('');
+      }
+    }
+
+    if (unresolved.length > 0) {
+      this.log('❓ UNRESOLVED USAGE (Verify Manually):');
+      this.log('   These functions have no resolved callers, but a function with the same name is');
+      this.log('   called on an object whose class could not be determined.');
+      this.log('');
+
+      for (const { func, callInfo } of unresolved) {
+        this.log(`   • ${this.getFunctionLabel(func)} (${this.formatLocation(func)}) ← ${callInfo.totalCalls} unresolved calls:`);
+        for (const call of callInfo.callers) {
+          this.log(`     ${this.formatLocation(call)}${this.getCallerLabel(call.caller)}`);
+          this.logCodeFrame(call, '       ');
+        }
+        this.log('');
+      }
+    }
+
+    if (entryPoints.length > 0) {
+      const referenceLabels = { hook: 'hook callback', action: 'ApplicationV2 option', framework: 'Foundry lifecycle override' };
+      this.log('🔌 FRAMEWORK ENTRY POINTS:');
+      this.log('   These functions are called by Foundry itself, as hook callbacks, ApplicationV2');
+      this.log('   actions or overridden lifecycle methods, so they are neither dead nor inlinable.');
+      this.log('');
+
+      for (const { func, callInfo } of entryPoints) {
+        const labels = Array.from(new Set(callInfo.callers.filter((call) => call.reference).map((call) => referenceLabels[call.reference])));
+        const calls = callInfo.callers.filter((call) => !call.reference).length;
+        this.log(`   • ${this.getFunctionLabel(func)} (${this.formatLocation(func)}) - ${labels.join(', ')}${calls > 0 ? `, also called ${calls} times` : ''}`);
+      }
+      this.log('');
+    }
+
+    if (singleUse.length > 0) {
+      this.log('⚠️  SINGLE-USE FUNCTIONS (Consider Inlining):');
+      this.log('   These functions are only called once. Consider inlining them to reduce');
+      this.log('   complexity, unless they serve a specific organizational purpose.');
+      this.log('');
+
+      // Show ALL single-use functions, no limiting
+      for (const { func, callInfo } of singleUse) {
+        const caller = callInfo.callers[0];
+        this.log(`   • ${this.getFunctionLabel(func)} (${this.formatLocation(func)}) → called from ${this.formatLocation(caller)}${this.getCallerLabel(caller.caller)}`);
+        this.logCodeFrame(caller);
+        this.log('');
+      }
+    }
+
+    if (multiUse.length > 0) {
+      this.log('✅ WELL-USED FUNCTIONS (Good Reusability):');
+      this.log('   These functions are called multiple times, indicating good code reuse.');
+      this.log('   All well-used functions (sorted by call count):');
+      this.log('');
+
+      // Show ALL well-used functions, sorted by call count
+      const sortedMultiUse = multiUse.sort((a, b) => b.callInfo.totalCalls - a.callInfo.totalCalls);
+      for (const { func, callInfo } of sortedMultiUse) {
+        this.log(`   • ${this.getFunctionLabel(func)} (${callInfo.totalCalls} calls) - ${this.formatLocation(func)}`);
+      }
+    }
+  }
+
+  generateComplexityReport() {
+    const { thresholds, overThreshold, hotspots, gitHistory } = this.complexityAudit;
+    const describe = ({ cyclomatic, cognitive, lines, params, nesting }) => `cyclomatic ${cyclomatic}, cognitive ${cognitive}, ${lines} lines, ${params} params, nesting ${nesting}`;
+
+    this.log('\n📐 COMPLEXITY & HOTSPOTS');
+    this.log('-'.repeat(60));
+    this.log('This section measures every trackable function and ranks the large, complex ones that');
+    this.log('change most often, which is where refactoring pays off first.');
+    this.log(
+      `Thresholds: ${Object.entries(thresholds)
+        .map(([metric, limit]) => `${metric} > ${limit}`)
+        .join(', ')}`
+    );
+    this.log('');
+
+    if (overThreshold.length > 0) {
+      this.log('⚠️  FUNCTIONS OVER THRESHOLDS:');
+      this.log('   Split these up, flatten nesting with early returns, or group parameters into an object.');
+      this.log('');
+      for (const { func, exceeded } of overThreshold) {
+        this.log(`   • ${func.class ? `${func.class}.` : ''}${func.name} (${func.file}:${func.line}) - ${describe(func.metrics)} [${exceeded.join(', ')}]`);
+      }
+      this.log('');
+    }
+
+    if (hotspots.length > 0) {
+      this.log(gitHistory ? '🔥 HOTSPOTS (complexity and size × commits to the file):' : '🔥 HOTSPOTS (complexity and size, no git history found):');
+      this.log('');
+      hotspots.forEach(({ func, commits, score }, index) => {
+        this.log(
+          `   ${index + 1}. ${func.class ? `${func.class}.` : ''}${func.name} (${func.file}:${func.line}) - score ${score}: ${describe(func.metrics)}${gitHistory ? `, ${commits} commits` : ''}`
+        );
+      });
+      this.log('');
+    }
+
+    if (overThreshold.length === 0) {
+      this.log('✅ Every trackable function is within the complexity thresholds.');
+    }
+  }
+
+  generateDuplicateReport() {
+    const { thresholds, copies, similar, blocks } = this.duplicateAudit;
+    const where = (func) => `${this.getFunctionLabel(func)} (${this.formatLocation(func)})`;
+
+    this.log('\n🧬 DUPLICATE CODE');
+    this.log('-'.repeat(60));
+    this.log('This section compares function bodies with local names renamed and literals masked, so');
+    this.log('copies that drifted apart in naming or constants are still found. Sizes are AST nodes.');
+    this.log('');
+
+    if (copies.length > 0) {
+      this.log('👯 DUPLICATE FUNCTIONS:');
+      this.log('   💡 Keep one copy in a shared utility module and import it everywhere else.');
+      this.log('');
+      for (const { functions, identical, tokens } of copies) {
+        this.log(`   • ${functions.length} copies, 100% ${identical ? 'identical' : 'identical after renaming locals and masking literals'} (${tokens} nodes):`);
+        functions.forEach((func) => this.log(`     - ${where(func)}`));
+      }
+      this.log('');
+    }
+
+    if (similar.length > 0) {
+      this.log(`🪞 SIMILAR FUNCTIONS (${Math.round(thresholds.similarity * 100)}% alike or more):`);
+      this.log('   💡 Merge each pair into one function and pass what differs as a parameter.');
+      this.log('');
+      for (const { functions, similarity } of similar) {
+        this.log(`   • ${Math.round(similarity * 100)}% - ${where(functions[0])} ≈ ${where(functions[1])}`);
+      }
+      this.log('');
+    }
+
+    if (blocks.length > 0) {
+      this.log(`📋 DUPLICATED BLOCKS (${thresholds.blockTokens} nodes or more):`);
+      this.log('   💡 Extract the block into a helper both places call.');
+      this.log('');
+      for (const { tokens, locations } of blocks) {
+        this.log(`   • ${locations.length} copies, 100% identical after normalizing (${tokens} nodes):`);
+        locations.forEach(({ file, line, endLine, func }) => this.log(`     - ${file}:${line}-${endLine} in ${this.getFunctionLabel(func)}`));
+      }
+      this.log('');
+    }
+
+    if (copies.length === 0 && similar.length === 0 && blocks.length === 0) {
+      this.log('✅ No duplicated functions or blocks found.');
+    }
   }
 
-  generateFunctionList() {
-    this.log('\n📋 FUNCTION INVENTORY');
+  generateModuleGraphReport() {
+    const { manifest, entries, missingEntries, unusedExports, orphans, cycles, unresolvedDynamicImports } = this.moduleGraph;
+
+    this.log('\n🕸️  MODULE GRAPH ANALYSIS');
     this.log('-'.repeat(60));
-    this.log('This section lists all trackable functions found in your codebase, organized by file and class.');
-    this.log('⚡ = Async function | 🔧 = Synchronous function');
+    this.log('This section follows import/export statements (including dynamic import()) to find');
+    this.log('exports nobody imports, files that are never loaded and circular import chains.');
     this.log('');
 
-    const byFile = new Map();
-
-    for (const [functionId, func] of this.functions) {
-      if (!byFile.has(func.file)) {
-        byFile.set(func.file, []);
-      }
-      byFile.get(func.file).push(func);
+    if (manifest) {
+      this.log(`🚪 Entry points from ${manifest}: ${entries.length > 0 ? entries.join(', ') : 'none declared'}`);
+      missingEntries.forEach((entry) => this.log(`   ⚠️  ${entry} is declared in ${manifest} but was not found`));
+    } else {
+      this.log('🚪 No module.json or system.json found, file reachability is not checked.');
     }
+    this.log('');
 
-    // Only show files that have trackable functions
-    const filesToShow = Array.from(byFile.entries()).filter(([file, functions]) => functions.length > 0);
+    if (unusedExports.length > 0) {
+      this.log('📦 UNUSED EXPORTS:');
+      this.log('   These exports are never imported by another file. Remove the export keyword,');
+      this.log('   or the code itself if nothing in its own file uses it either.');
+      this.log('');
 
-    for (const [file, functions] of filesToShow) {
-      this.log(`📁 ${file} (${functions.length} trackable functions)`);
+      for (const { name, file, line } of unusedExports) {
+        this.log(`   • ${name} (${file}:${line})`);
+      }
+      this.log('');
+    }
 
-      const byClass = new Map();
-      byClass.set(null, []);
+    if (orphans.length > 0) {
+      this.log('🏝️  ORPHAN FILES (Never Loaded):');
+      this.log(`   These files can't be reached by imports from the ${manifest} entry points,`);
+      this.log('   so Foundry never loads them.');
+      if (unresolvedDynamicImports > 0) {
+        this.log(`   Note: ${unresolvedDynamicImports} dynamic import() calls with computed paths could not be followed.`);
+      }
+      this.log('');
 
-      for (const func of functions) {
-        if (!byClass.has(func.class)) {
-          byClass.set(func.class, []);
-        }
-        byClass.get(func.class).push(func);
+      for (const file of orphans) {
+        this.log(`   • ${file}`);
       }
+      this.log('');
+    }
 
-      for (const [className, classFunctions] of byClass) {
-        if (className && classFunctions.length > 0) {
-          this.log(`  🏛️  Class: ${className} (${classFunctions.length} methods)`);
-        }
+    if (cycles.length > 0) {
+      this.log('🔁 CIRCULAR IMPORTS:');
+      this.log('   These files import each other. A class used at module evaluation time (extends,');
+      this.log('   static fields, top level code) may still be undefined when the cycle is entered,');
+      this.log('   which typically surfaces as errors during the init hook.');
+      this.log('');
 
-        for (const func of classFunctions) {
-          const asyncMarker = func.async ? '⚡' : '🔧';
-          const indent = className ? '    ' : '  ';
-          const callCount = this.functionCalls.get(func.name)?.totalCalls || 0;
-          this.log(`${indent}${asyncMarker} ${func.name} (line ${func.line}) - Called ${callCount} times`);
-        }
+      for (const { chain } of cycles) {
+        this.log(`   • ${chain.join(' → ')}`);
       }
       this.log('');
     }
+
+    if (unusedExports.length === 0 && orphans.length === 0 && cycles.length === 0) {
+      this.log('✅ Every export is imported, every file is reachable and there are no import cycles.');
+    }
   }
 
-  generateAsyncValidationReport() {
-    this.log('\n🔍 ASYNC/AWAIT VALIDATION');
+  generateHooksReport() {
+    const { listened, emitted, missingEmitters, unheardEmitters, leakingListeners, orphanRemovals, dynamic } = this.hookAudit;
+    const where = (hooks) => hooks.map(({ file, line }) => `${file}:${line}`).join(', ');
+
+    this.log('\n🪝 HOOKS REGISTRY AUDIT');
     this.log('-'.repeat(60));
-    this.log('This section identifies potential issues with async/await usage patterns.');
-    this.log('Proper async/await usage ensures your code behaves as expected and avoids');
-    this.log('common pitfalls like unhandled promises or unnecessary async declarations.');
+    this.log('This section compares the hooks your code listens to (Hooks.on/once) with the hooks');
+    this.log('it emits (Hooks.call/callAll). Core Foundry hooks are recognized automatically.');
     this.log('');
 
-    let issues = 0;
+    if (listened.length === 0 && emitted.length === 0) {
+      this.log('No Hooks.on/once/call/callAll usage found.');
+      return;
+    }
 
-    for (const [functionId, func] of this.functions) {
-      const callInfo = this.functionCalls.get(func.name);
-      const issues_for_function = [];
+    const sourceLabels = { core: 'core', custom: 'emitted here', external: 'system/module', unknown: 'no emitter found' };
+    this.log(`👂 Listened Hooks (${listened.length}):`);
+    for (const { name, listeners, source } of listened) {
+      this.log(`   • ${name} [${sourceLabels[source]}] - ${where(listeners)}`);
+    }
+    this.log('');
 
-      if (func.async) {
-        // Check if async function has awaitable operations
-        if (func.awaitedOperations.length === 0 && func.promiseOperations.length === 0) {
-          issues_for_function.push('⚠️  UNNECESSARY ASYNC: This function is marked async but contains no awaited operations.');
-          issues_for_function.push('    💡 Consider removing the "async" keyword to improve performance.');
-        }
+    this.log(`📣 Emitted Custom Hooks (${emitted.length}):`);
+    for (const { name, emitters, listeners } of emitted) {
+      this.log(`   • ${name} (${listeners.length} listeners) - ${where(emitters)}`);
+    }
+    this.log('');
 
-        // Check if async function is called without await
-        if (callInfo) {
-          const nonAwaitedCalls = callInfo.callers.filter((call) => !call.awaited);
-          if (nonAwaitedCalls.length > 0) {
-            issues_for_function.push(`⚠️  MISSING AWAIT: This async function is called without "await" in:`);
-            issues_for_function.push(`    ${nonAwaitedCalls.map((c) => `${c.file}:${c.line}`).join(', ')}`);
-            issues_for_function.push('    💡 Add "await" to these calls or the promise may not be handled properly.');
-          }
-        }
-      } else {
-        // Check if non-async function has awaitable operations
-        if (func.awaitedOperations.length > 0 || func.promiseOperations.length > 0) {
-          issues_for_function.push('⚠️  MISSING ASYNC: This function contains awaitable operations but is not marked async.');
-          issues_for_function.push('    💡 Add "async" keyword to properly handle asynchronous operations.');
-        }
+    if (missingEmitters.length > 0) {
+      this.log('❌ LISTENERS WITHOUT EMITTER:');
+      this.log('   Nothing in the analyzed code or Foundry core emits these hooks. Check for typos and');
+      this.log('   for system or module classes that were renamed.');
+      this.log('');
+      for (const { name, listeners, suggestion } of missingEmitters) {
+        this.log(`   • ${name} - ${where(listeners)}${suggestion ? ` → did you mean "${suggestion}"?` : ''}`);
+      }
+      this.log('');
+    }
 
-        // Check if non-async function is called with await
-        if (callInfo) {
-          const awaitedCalls = callInfo.callers.filter((call) => call.awaited);
-          if (awaitedCalls.length > 0) {
-            issues_for_function.push(`⚠️  UNNECESSARY AWAIT: This non-async function is called with "await" in:`);
-            issues_for_function.push(`    ${awaitedCalls.map((c) => `${c.file}:${c.line}`).join(', ')}`);
-            issues_for_function.push('    💡 Remove "await" from these calls as they\'re not needed.');
-          }
-        }
+    if (unheardEmitters.length > 0) {
+      this.log('🔇 EMITTED HOOKS WITHOUT LISTENERS:');
+      this.log('   Nothing in the analyzed code listens to these. Fine for hooks meant as public API');
+      this.log('   for other packages, otherwise the call can be removed.');
+      this.log('');
+      for (const { name, emitters } of unheardEmitters) {
+        this.log(`   • ${name} - ${where(emitters)}`);
       }
+      this.log('');
+    }
 
-      if (issues_for_function.length > 0) {
-        issues += issues_for_function.length;
-        this.log(`❌ ${func.name} (${func.file}:${func.line})`);
-        for (const issue of issues_for_function) {
-          this.log(`   ${issue}`);
-        }
-        this.log('');
+    if (leakingListeners.length > 0) {
+      this.log('♻️  LISTENERS WITHOUT CLEANUP:');
+      this.log('   These Hooks.on() calls run inside code that can execute many times, and the hook is');
+      this.log('   never removed with Hooks.off(), so every run adds another listener.');
+      this.log('   💡 Use Hooks.once() or keep the returned id and call Hooks.off() on close.');
+      this.log('');
+      for (const { name, file, line, registeredIn } of leakingListeners) {
+        // Framework methods such as _onRender are not tracked, their id still names them
+        const context = this.functions.get(registeredIn);
+        const functionName = context ? `${context.class ? `${context.class}.` : ''}${context.name}` : registeredIn !== 'callback' && registeredIn.split(':').slice(-2)[0];
+        this.log(`   • ${name} (${file}:${line})${functionName ? ` in ${functionName}` : ''}`);
       }
+      this.log('');
     }
 
-    if (issues === 0) {
-      this.log('✅ EXCELLENT! No async/await issues found in your trackable functions.');
-      this.log('   Your async patterns are properly implemented.');
-    } else {
-      this.log(`📊 Total async/await issues found: ${issues}`);
-      this.log('   Fixing these issues will improve code reliability and performance.');
+    if (orphanRemovals.length > 0) {
+      this.log('🧹 REMOVALS FOR HOOKS NEVER LISTENED TO:');
+      this.log('');
+      for (const { name, file, line } of orphanRemovals) {
+        this.log(`   • Hooks.off("${name}") (${file}:${line})`);
+      }
+      this.log('');
+    }
+
+    if (dynamic.length > 0) {
+      this.log(`❔ ${dynamic.length} hook calls use a computed name and were not checked: ${where(dynamic)}`);
     }
   }
 
-  generateUsageReport() {
-    this.log('\n📞 FUNCTION USAGE ANALYSIS');
+  generateApplicationReport() {
+    const { applications, missingTemplates } = this.applicationAudit;
+    if (applications.length === 0) return;
+
+    this.log('\n🖼️  APPLICATIONV2 ACTIONS');
     this.log('-'.repeat(60));
-    this.log('This section analyzes how often your trackable functions are called and identifies');
-    this.log('opportunities for code optimization and cleanup. Only functions that can be');
-    this.log('referenced by name elsewhere in the code are considered.');
+    this.log("This section checks the data-action attributes in each class's PARTS templates");
+    this.log('against the actions registered in its DEFAULT_OPTIONS (including inherited ones).');
     this.log('');
 
-    const unused = [];
-    const singleUse = [];
-    const multiUse = [];
-
-    for (const [functionId, func] of this.functions) {
-      const callInfo = this.functionCalls.get(func.name);
-      const callCount = callInfo ? callInfo.totalCalls : 0;
-
-      if (callCount === 0) {
-        unused.push(func);
-      } else if (callCount === 1) {
-        singleUse.push({ func, callInfo });
-      } else {
-        multiUse.push({ func, callInfo });
-      }
+    let issues = 0;
+    for (const { className, file, line, actions, parts, missing, orphaned } of applications) {
+      this.log(`🏛️  ${className} (${file}:${line}) - ${actions} actions, ${parts} template parts`);
+      missing.forEach((action) => this.log(`   ❌ data-action="${action}" has no handler in DEFAULT_OPTIONS.actions`));
+      orphaned.forEach(({ action, line: actionLine }) => this.log(`   ⚠️  action "${action}" (${file}:${actionLine}) is not used by any template`));
+      issues += missing.length + orphaned.length;
     }
+    this.log('');
 
-    if (unused.length > 0) {
-      this.log('🚫 UNUSED FUNCTIONS (Dead Code):');
-      this.log('   These named functions are never called and can likely be removed to reduce');
-      this.log('   codebase size and maintenance burden.');
-      this.log('');
-
-      // Show ALL unused functions, no limiting
-      for (const func of unused) {
-        this.log(`   • ${func.name} (${func.file}:${func.line})`);
+    if (missingTemplates.length > 0) {
+      this.log('📄 TEMPLATES NOT FOUND:');
+      for (const { className, part, template, file, line } of missingTemplates) {
+        this.log(`   • ${className} part "${part}": ${template} (${file}:${line})`);
       }
       this.log('');
     }
 
-    if (singleUse.length > 0) {
-      this.log('⚠️  SINGLE-USE FUNCTIONS (Consider Inlining):');
-      this.log('   These functions are only called once. Consider inlining them to reduce');
-      this.log('   complexity, unless they serve a specific organizational purpose.');
-      this.log('');
+    if (issues === 0) {
+      this.log('✅ Every data-action has a handler and every registered action is used.');
+    } else {
+      this.log(`📊 Total action issues found: ${issues}`);
+    }
+  }
 
-      // Show ALL single-use functions, no limiting
-      for (const { func, callInfo } of singleUse) {
-        const caller = callInfo.callers[0];
-        this.log(`   • ${func.name} (${func.file}:${func.line}) → called from ${caller.file}:${caller.line}`);
+  getStaleSuppressions() {
+    return this.suppressions.filter(({ hits, unknownRules }) => hits.size === 0 || unknownRules.length > 0);
+  }
+
+  generateSuppressionReport() {
+    if (this.suppressions.length === 0) return;
+
+    const stale = this.getStaleSuppressions();
+    const applied = this.suppressions.filter((suppression) => !stale.includes(suppression));
+    const describe = ({ kind, label, file, line, rules }) => `${label}${rules && kind !== 'rule' ? ` ${rules.join(', ')}` : ''} (${line ? `${file}:${line}` : file})`;
+
+    this.log('\n🔕 SUPPRESSIONS');
+    this.log('-'.repeat(60));
+    this.log('This section lists the config entries, analyze-ignore comments and @analyze-ignore tags');
+    this.log('that hid findings from this report, and the ones that no longer match anything.');
+    this.log('');
+
+    if (applied.length > 0) {
+      this.log(`🙈 Applied (${applied.length}):`);
+      for (const suppression of applied) {
+        this.log(
+          `   • ${describe(suppression)} - ${suppression.hits.size} ${['name', 'pattern'].includes(suppression.kind) ? 'functions' : suppression.kind === 'path' ? 'files' : 'findings'} ignored`
+        );
       }
       this.log('');
     }
 
-    if (multiUse.length > 0) {
-      this.log('✅ WELL-USED FUNCTIONS (Good Reusability):');
-      this.log('   These functions are called multiple times, indicating good code reuse.');
-      this.log('   All well-used functions (sorted by call count):');
+    if (stale.length > 0) {
+      this.log(`🧟 STALE SUPPRESSIONS (${stale.length}):`);
+      this.log('   These no longer match anything and can be removed, or name a rule that does not exist.');
       this.log('');
-
-      // Show ALL well-used functions, sorted by call count
-      const sortedMultiUse = multiUse.sort((a, b) => b.callInfo.totalCalls - a.callInfo.totalCalls);
-      for (const { func, callInfo } of sortedMultiUse) {
-        this.log(`   • ${func.name} (${callInfo.totalCalls} calls) - ${func.file}:${func.line}`);
+      for (const suppression of stale) {
+        const reason = suppression.unknownRules.length > 0 ? `unknown rule ${suppression.unknownRules.map((rule) => `"${rule}"`).join(', ')}` : 'matches nothing';
+        this.log(`   • ${describe(suppression)} - ${reason}`);
       }
+      this.log('');
+      this.log(`   Known rules: ${Array.from(this.rules).join(', ')}`);
     }
   }
 
@@ -632,40 +3139,93 @@ class FunctionAnalyzer {
     const asyncFunctions = Array.from(this.functions.values()).filter((f) => f.async).length;
     const syncFunctions = trackableFunctions - asyncFunctions;
 
-    const unused = Array.from(this.functions.values()).filter((func) => {
-      const callInfo = this.functionCalls.get(func.name);
-      return !callInfo || callInfo.totalCalls === 0;
-    }).length;
+    const unusedFunctions = Array.from(this.functions.values()).filter((func) => {
+      const callInfo = this.getCallInfo(func);
+      return (!callInfo || callInfo.totalCalls === 0) && !this.getUnresolvedCalls(func);
+    });
 
-    const singleUse = Array.from(this.functions.values()).filter((func) => {
-      const callInfo = this.functionCalls.get(func.name);
-      return callInfo && callInfo.totalCalls === 1;
-    }).length;
+    const singleUseFunctions = Array.from(this.functions.values()).filter((func) => {
+      const callInfo = this.getCallInfo(func);
+      return callInfo && callInfo.totalCalls === 1 && !callInfo.callers[0].reference;
+    });
+
+    const unresolvedFunctions = Array.from(this.functions.values()).filter((func) => this.getCallInfo(func).totalCalls === 0 && this.getUnresolvedCalls(func));
+    const unused = unusedFunctions.filter((func) => !this.isSuppressed('unused', this.getFunctionLocation(func))).length;
+    const singleUse = singleUseFunctions.filter((func) => !this.isSuppressed('single-use', this.getFunctionLocation(func))).length;
+    const unresolvedOnly = unresolvedFunctions.filter((func) => !this.isSuppressed('unresolved', this.getFunctionLocation(func))).length;
+    const entryPoints = Array.from(this.functions.values()).filter((func) => this.getCallInfo(func).callers.some((call) => call.reference)).length;
+    const suppressedUsage = unusedFunctions.length + singleUseFunctions.length + unresolvedFunctions.length - unused - singleUse - unresolvedOnly;
+    const resolvedCalls = Array.from(this.functionCalls.values()).reduce((sum, callInfo) => sum + callInfo.totalCalls, 0);
+    const unresolvedCalls = Array.from(this.unresolvedCalls.values()).reduce((sum, callInfo) => sum + callInfo.totalCalls, 0);
 
-    const wellUsed = trackableFunctions - unused - singleUse;
+    const wellUsed = trackableFunctions - unused - singleUse - unresolvedOnly - entryPoints - suppressedUsage;
     const usageEfficiency = trackableFunctions > 0 ? Math.round((wellUsed / trackableFunctions) * 100) : 0;
 
     this.log(`📊 Function Statistics:`);
     this.log(`   Total Functions: ${totalFunctions} (${trackableFunctions} trackable + ${this.skippedFunctionCount} inline/callbacks/events)`);
     this.log(`   • Trackable Async Functions: ${asyncFunctions} (${Math.round((asyncFunctions / trackableFunctions) * 100)}%)`);
     this.log(`   • Trackable Sync Functions: ${syncFunctions} (${Math.round((syncFunctions / trackableFunctions) * 100)}%)`);
+    this.log(`   • Floating Promises: ${this.floatingPromises.length}`);
     this.log('');
     this.log(`📈 Trackable Function Usage Efficiency: ${usageEfficiency}%`);
     this.log(`   • Well-used Functions: ${wellUsed}`);
     this.log(`   • Single-use Functions: ${singleUse} (${Math.round((singleUse / trackableFunctions) * 100)}%)`);
     this.log(`   • Unused Functions: ${unused} (${Math.round((unused / trackableFunctions) * 100)}%)`);
+    this.log(`   • Only Called Through Unresolved Calls: ${unresolvedOnly}`);
+    this.log(`   • Framework Entry Points: ${entryPoints}`);
+    if (suppressedUsage > 0) this.log(`   • Suppressed Usage Findings: ${suppressedUsage}`);
+    this.log('');
+    this.log(`🕸️  Module Graph:`);
+    this.log(`   • Unused Exports: ${this.moduleGraph.unusedExports.length}`);
+    this.log(`   • Orphan Files: ${this.moduleGraph.orphans.length}`);
+    this.log(`   • Circular Import Chains: ${this.moduleGraph.cycles.length}`);
+    this.log('');
+    this.log(`🪝 Hooks:`);
+    this.log(`   • Listened Hooks: ${this.hookAudit.listened.length} (${this.hookAudit.missingEmitters.length} without emitter)`);
+    this.log(`   • Emitted Custom Hooks: ${this.hookAudit.emitted.length} (${this.hookAudit.unheardEmitters.length} without listeners)`);
+    this.log(`   • Listeners Without Cleanup: ${this.hookAudit.leakingListeners.length}`);
+    this.log('');
+    const measured = Array.from(this.functions.values());
+    const averageCognitive = measured.length > 0 ? (measured.reduce((sum, func) => sum + func.metrics.cognitive, 0) / measured.length).toFixed(1) : 0;
+    this.log(`📐 Complexity:`);
+    this.log(`   • Average Cognitive Complexity: ${averageCognitive}`);
+    this.log(`   • Functions Over Thresholds: ${this.complexityAudit.overThreshold.length}`);
+    this.log(`   • Hotspots Weighted By Git History: ${this.complexityAudit.gitHistory ? 'yes' : 'no'}`);
+    this.log('');
+    const { copies, similar, blocks } = this.duplicateAudit;
+    this.log(`🧬 Duplicate Code:`);
+    this.log(`   • Copied Function Groups: ${copies.length} (${copies.reduce((sum, { functions }) => sum + functions.length - 1, 0)} redundant copies)`);
+    this.log(`   • Similar Function Pairs: ${similar.length}`);
+    this.log(`   • Duplicated Blocks: ${blocks.length}`);
+    this.log('');
+    this.log(`🐢 Document Writes:`);
+    this.log(`   • Writes Inside Loops: ${this.writeAudit.loopWrites.length}`);
+    this.log(`   • Documents Updated Repeatedly: ${this.writeAudit.repeatedWrites.length}`);
+    this.log(`   • Sequential Awaits In Loops: ${this.writeAudit.loopAwaits.length}`);
+    this.log('');
+    this.log(`🔗 Call Resolution:`);
+    this.log(`   • Calls Resolved To Analyzed Functions: ${resolvedCalls}`);
+    this.log(`   • Calls On Receivers Of Unknown Type: ${unresolvedCalls}`);
+
+    if (this.suppressions.length > 0) {
+      const stale = this.getStaleSuppressions().length;
+      this.log('');
+      this.log(`🔕 Suppressions:`);
+      this.log(`   • Applied: ${this.suppressions.length - stale}`);
+      this.log(`   • Stale: ${stale}`);
+    }
   }
 
   generateRecommendations() {
     const trackableFunctions = this.functions.size;
     const unused = Array.from(this.functions.values()).filter((func) => {
-      const callInfo = this.functionCalls.get(func.name);
-      return !callInfo || callInfo.totalCalls === 0;
+      const callInfo = this.getCallInfo(func);
+      return (!callInfo || callInfo.totalCalls === 0) && !this.getUnresolvedCalls(func) && !this.isSuppressed('unused', this.getFunctionLocation(func));
     }).length;
 
     const singleUse = Array.from(this.functions.values()).filter((func) => {
-      const callInfo = this.functionCalls.get(func.name);
-      return callInfo && callInfo.totalCalls === 1;
+      const callInfo = this.getCallInfo(func);
+      return callInfo && callInfo.totalCalls === 1 && !callInfo.callers[0].reference && !this.isSuppressed('single-use', this.getFunctionLocation(func));
     }).length;
 
     this.log('\n💡 OPTIMIZATION RECOMMENDATIONS');
@@ -683,51 +3243,576 @@ class FunctionAnalyzer {
       this.log('');
     }
 
+    if (this.floatingPromises.length > 0) {
+      this.log('🔥 Unhandled Rejections:');
+      this.log(`   Await, return or .catch() ${this.floatingPromises.length} floating promises so failed updates and rolls surface as errors`);
+      this.log('');
+    }
+
+    const { loopWrites, repeatedWrites, loopAwaits } = this.writeAudit;
+    if (loopWrites.length > 0 || repeatedWrites.length > 0) {
+      this.log('🐢 Server Round Trips:');
+      this.log(`   Batch ${loopWrites.length} document writes made inside loops and merge ${repeatedWrites.length} sets of repeated updates`);
+      this.log('');
+    }
+
+    if (loopAwaits.length > 0) {
+      this.log('⏳ Parallelism:');
+      this.log(`   Run ${loopAwaits.length} independent awaits in loops together with Promise.all`);
+      this.log('');
+    }
+
     const asyncIssues = this.countAsyncIssues();
     if (asyncIssues > 0) {
       this.log('⚡ Async/Await Improvements:');
-      this.log(`   Fix ${asyncIssues} async/await issues to improve reliability and performance`);
+      this.log(`   Fix ${asyncIssues} async/await style issues to improve readability and performance`);
+      this.log('');
+    }
+
+    const [hotspot] = this.complexityAudit.hotspots;
+    if (hotspot && this.complexityAudit.overThreshold.length > 0) {
+      this.log('📐 Refactoring Hotspots:');
+      this.log(`   Simplify ${this.complexityAudit.overThreshold.length} overly complex functions, starting with ${hotspot.func.name} (${hotspot.func.file}:${hotspot.func.line})`);
+      this.log('');
+    }
+
+    const { copies, similar } = this.duplicateAudit;
+    if (copies.length > 0 || similar.length > 0) {
+      this.log('🧬 Shared Utilities:');
+      this.log(`   Consolidate ${copies.length} groups of copied functions and ${similar.length} pairs of similar ones into shared helpers`);
+      this.log('');
+    }
+
+    const { orphans, cycles } = this.moduleGraph;
+    if (cycles.length > 0) {
+      this.log('🔁 Module Structure:');
+      this.log(`   Break ${cycles.length} circular import chains, e.g. by moving shared code into a module both sides import`);
+      this.log('');
+    }
+
+    if (orphans.length > 0) {
+      this.log('🏝️  Dead Files:');
+      this.log(`   Delete or import ${orphans.length} files that are never loaded`);
       this.log('');
     }
 
-    if (unused === 0 && singleUse < 5 && asyncIssues === 0) {
+    const performanceIssues = loopWrites.length + repeatedWrites.length + loopAwaits.length;
+    if (
+      unused === 0 &&
+      singleUse < 5 &&
+      asyncIssues === 0 &&
+      this.floatingPromises.length === 0 &&
+      performanceIssues === 0 &&
+      this.complexityAudit.overThreshold.length === 0 &&
+      copies.length === 0 &&
+      similar.length === 0 &&
+      cycles.length === 0 &&
+      orphans.length === 0
+    ) {
       this.log('🎉 EXCELLENT CODEBASE!');
       this.log('   Your function organization and async patterns are well-structured.');
       this.log('   No major optimization opportunities detected.');
     }
   }
 
+  getAsyncIssues(func) {
+    // Discarded promises are reported as floating promises, these are the style level findings
+    const callInfo = this.getCallInfo(func);
+    const awaitsPromise = func.async || func.returnsPromise;
+
+    return {
+      unnecessaryAsync: func.async && func.awaitedOperations.length === 0 && !this.isSuppressed('unnecessary-async', this.getFunctionLocation(func)),
+      unnecessaryAwait: awaitsPromise ? [] : callInfo.callers.filter((call) => call.awaited && !this.isSuppressed('unnecessary-await', { file: call.file, line: call.line, functionId: func.id }))
+    };
+  }
+
   countAsyncIssues() {
     let count = 0;
     for (const [functionId, func] of this.functions) {
-      const callInfo = this.functionCalls.get(func.name);
+      const { unnecessaryAsync, unnecessaryAwait } = this.getAsyncIssues(func);
+      count += Number(unnecessaryAsync) + unnecessaryAwait.length;
+    }
+    return count;
+  }
 
-      if (func.async && func.awaitedOperations.length === 0 && func.promiseOperations.length === 0) {
-        count++;
-      }
+  collectFindings() {
+    // Every finding as a flat record, rule names are the ones the rules config and analyze-ignore comments take
+    const findings = [];
+    const add = (rule, { file, line = null, column = null, functionId = null }, message) => findings.push({ rule, file, line, column, functionId, message });
+    const label = (func) => this.getFunctionLabel(func);
+    const usageMessages = { unused: 'is never called', 'single-use': 'is only called once', unresolved: 'is only called on receivers of unknown type' };
+
+    for (const func of this.functions.values()) {
+      const location = this.getFunctionLocation(func);
+      const usage = this.getUsageCategory(func);
+      if (usageMessages[usage] && !this.isSuppressed(usage, location)) add(usage, location, `${label(func)} ${usageMessages[usage]}`);
+
+      const { unnecessaryAsync, unnecessaryAwait } = this.getAsyncIssues(func);
+      if (unnecessaryAsync) add('unnecessary-async', location, `${label(func)} is async but never awaits anything`);
+      unnecessaryAwait.forEach(({ file, line, column }) => add('unnecessary-await', { file, line, column, functionId: func.id }, `${label(func)} returns no promise but is awaited`));
+    }
 
-      if (!func.async && (func.awaitedOperations.length > 0 || func.promiseOperations.length > 0)) {
-        count++;
-      }
+    this.floatingPromises.forEach(({ name, file, line, column, caller, reason }) =>
+      add('floating-promise', { file, line, column, functionId: caller }, `${name}${this.getCallerLabel(caller)} is never awaited - ${reason}`)
+    );
+
+    const { loopWrites, repeatedWrites, loopAwaits } = this.writeAudit;
+    loopWrites.forEach(({ write, via, name, file, line, column, caller, loop }) =>
+      add('write-in-loop', { file, line, column, functionId: caller }, `${via ? `${name}()` : `${write.receiver}.${write.method}()`} writes documents in ${loop.kind}${this.getCallerLabel(caller)}`)
+    );
+    repeatedWrites.forEach(({ receiver, file, caller, calls }) =>
+      add(
+        'repeated-write',
+        { file, line: calls[0].line, column: calls[0].column, functionId: caller },
+        `${receiver} is written ${calls.length} times${this.getCallerLabel(caller)} (lines ${calls.map(({ line }) => line).join(', ')})`
+      )
+    );
+    loopAwaits.forEach(({ name, file, line, column, caller, loop }) =>
+      add('sequential-await', { file, line, column, functionId: caller }, `${name}() is awaited one at a time in ${loop.kind}${this.getCallerLabel(caller)}`)
+    );
+
+    const { thresholds, overThreshold } = this.complexityAudit;
+    overThreshold.forEach(({ func, exceeded }) =>
+      add('complexity', this.getFunctionLocation(func), `${label(func)} exceeds ${exceeded.map((metric) => `${metric} ${func.metrics[metric]} > ${thresholds[metric]}`).join(', ')}`)
+    );
+
+    const { copies, similar, blocks } = this.duplicateAudit;
+    copies.forEach(({ functions, identical }) =>
+      functions.forEach((func) =>
+        add(
+          'duplicate-function',
+          this.getFunctionLocation(func),
+          `${label(func)} is ${identical ? 'identical to' : 'a renamed copy of'} ${functions
+            .filter((other) => other !== func)
+            .map((other) => `${label(other)} (${this.formatLocation(other)})`)
+            .join(', ')}`
+        )
+      )
+    );
+    similar.forEach(({ functions, similarity }) =>
+      functions.forEach((func, index) => {
+        const other = functions[1 - index];
+        add('duplicate-function', this.getFunctionLocation(func), `${label(func)} is ${Math.round(similarity * 100)}% similar to ${label(other)} (${this.formatLocation(other)})`);
+      })
+    );
+    blocks.forEach(({ locations }) =>
+      locations.forEach(({ file, line, endLine, func }) => {
+        const others = locations.filter((location) => location.file !== file || location.line !== line).map((location) => `${location.file}:${location.line}-${location.endLine}`);
+        add('duplicate-block', { file, line, functionId: func.id }, `lines ${line}-${endLine} are duplicated at ${others.join(', ')}`);
+      })
+    );
+
+    const { unusedExports, orphans, cycles, manifest } = this.moduleGraph;
+    unusedExports.forEach(({ name, file, line }) => add('unused-export', { file, line }, `export ${name} is never imported`));
+    orphans.forEach((file) => add('orphan-file', { file }, `${file} can't be reached from the ${manifest} entry points`));
+    cycles.forEach(({ chain }) => add('import-cycle', { file: chain[0] }, `circular import ${chain.join(' → ')}`));
+
+    // Hooks registered in framework methods or callbacks have no tracked function to point at
+    const hookLocation = ({ file, line, registeredIn }) => ({ file, line, functionId: this.functions.has(registeredIn) ? registeredIn : null });
+    const { missingEmitters, unheardEmitters, leakingListeners, orphanRemovals } = this.hookAudit;
+    missingEmitters.forEach(({ name, listeners, suggestion }) =>
+      listeners.forEach((listener) => add('missing-hook-emitter', hookLocation(listener), `hook "${name}" is never emitted${suggestion ? `, did you mean "${suggestion}"?` : ''}`))
+    );
+    unheardEmitters.forEach(({ name, emitters }) => emitters.forEach((emitter) => add('unheard-hook', hookLocation(emitter), `hook "${name}" is emitted but nothing listens to it`)));
+    leakingListeners.forEach((listener) => add('hook-cleanup', hookLocation(listener), `Hooks.on("${listener.name}") runs more than once and is never removed`));
+    orphanRemovals.forEach((removal) => add('orphan-hook-removal', hookLocation(removal), `Hooks.off("${removal.name}") removes a hook that is never listened to`));
+
+    const { applications, missingTemplates } = this.applicationAudit;
+    applications.forEach(({ className, file, line, missing, orphaned }) => {
+      missing.forEach((action) => add('missing-action', { file, line }, `data-action="${action}" has no handler in ${className}.DEFAULT_OPTIONS.actions`));
+      orphaned.forEach(({ action, line: actionLine }) => add('orphaned-action', { file, line: actionLine }, `action "${action}" of ${className} is not used by any template`));
+    });
+    missingTemplates.forEach(({ className, part, template, file, line }) => add('missing-template', { file, line }, `${className} part "${part}" template ${template} was not found`));
 
-      if (callInfo) {
-        if (func.async) {
-          count += callInfo.callers.filter((call) => !call.awaited).length;
-        } else {
-          count += callInfo.callers.filter((call) => call.awaited).length;
-        }
-      }
+    return findings.sort((a, b) => a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0));
+  }
+
+  formatJsonReport(folderPath) {
+    // --format json, schemaVersion goes up whenever a field is renamed or removed:
+    //   summary         { files, functions, skippedFunctions, asyncFunctions, findings, findingsByRule: { [rule]: count }, suppressions: { applied, stale } }
+    //   functions[]     { id, name, class, file, line, column, async, returnsPromise, usage, metrics, calls, callers[], callees[], issues[] }
+    //                   usage is entry-point, unused, single-use, multi-use or unresolved, callees and issues hold function ids and rule names,
+    //                   callers are { file, line, column, caller, awaited, reference } where caller is a function id or null for top level code
+    //   findings[]      { rule, file, line, column, functionId, message }, line, column and functionId are null for file level findings
+    //   modules[]       { file, imports[], exports[] }, imports only list files inside the analyzed folder
+    //   hooks[]         { name, source, listeners[], emitters[], removals[] }, each registration is { file, line }
+    //   hotspots[]      { functionId, commits, score }, commits is null outside a git repository
+    //   duplicates      { functions: [{ functionIds[], similarity, identical }], blocks: [{ tokens, locations: [{ file, line, endLine, functionId }] }] }
+    //                   similarity runs from the configured threshold to 1, identical is only true for copies that match before renaming
+    //   suppressions[]  { kind, label, file, line, rules, hits, stale }
+    //   errors[]        messages for files that could not be parsed
+    const findings = this.collectFindings();
+    const stale = this.getStaleSuppressions();
+
+    const callees = new Map();
+    this.pendingCalls.forEach(({ caller, ids }) => {
+      if (!this.functions.has(caller)) return;
+      if (!callees.has(caller)) callees.set(caller, new Set());
+      ids.forEach((id) => callees.get(caller).add(id));
+    });
+    const issues = new Map();
+    findings.forEach(({ rule, functionId }) => {
+      if (!functionId) return;
+      if (!issues.has(functionId)) issues.set(functionId, new Set());
+      issues.get(functionId).add(rule);
+    });
+    const findingsByRule = {};
+    findings.forEach(({ rule }) => (findingsByRule[rule] = (findingsByRule[rule] ?? 0) + 1));
+
+    const hooks = new Map([...this.hookAudit.listened, ...this.hookAudit.emitted].map((hook) => [hook.name, hook]));
+    const where = (registrations) => registrations.map(({ file, line }) => ({ file, line }));
+
+    return {
+      schemaVersion: 1,
+      generated: new Date().toISOString(),
+      folder: folderPath,
+      summary: {
+        files: this.modules.size,
+        functions: this.functions.size,
+        skippedFunctions: this.skippedFunctionCount,
+        asyncFunctions: Array.from(this.functions.values()).filter((func) => func.async).length,
+        findings: findings.length,
+        findingsByRule,
+        suppressions: { applied: this.suppressions.length - stale.length, stale: stale.length }
+      },
+      functions: Array.from(this.functions.values(), (func) => {
+        const callInfo = this.getCallInfo(func);
+        return {
+          id: func.id,
+          name: func.name,
+          class: func.class ?? null,
+          file: func.file,
+          line: func.line,
+          column: func.column,
+          async: func.async,
+          returnsPromise: func.returnsPromise,
+          usage: this.getUsageCategory(func),
+          metrics: func.metrics,
+          calls: callInfo.totalCalls,
+          callers: callInfo.callers.map(({ file, line, column, caller, awaited, reference }) => ({
+            file,
+            line,
+            column: column ?? null,
+            caller: caller ?? null,
+            awaited,
+            reference: reference ?? null
+          })),
+          callees: Array.from(callees.get(func.id) ?? []),
+          issues: Array.from(issues.get(func.id) ?? [])
+        };
+      }),
+      findings,
+      modules: Array.from(this.modules, ([file, moduleInfo]) => ({
+        file,
+        imports: Array.from(new Set(moduleInfo.imports.map(({ source }) => source && this.resolveModulePath(file, source)).filter(Boolean))),
+        exports: Array.from(moduleInfo.exports.keys())
+      })),
+      hooks: Array.from(hooks.values(), ({ name, source, listeners, emitters, removals }) => ({
+        name,
+        source: source ?? 'custom',
+        listeners: where(listeners),
+        emitters: where(emitters),
+        removals: where(removals)
+      })),
+      duplicates: {
+        functions: [
+          ...this.duplicateAudit.copies.map(({ functions, identical }) => ({ functionIds: functions.map(({ id }) => id), similarity: 1, identical })),
+          ...this.duplicateAudit.similar.map(({ functions, similarity }) => ({ functionIds: functions.map(({ id }) => id), similarity: Math.round(similarity * 100) / 100, identical: false }))
+        ],
+        blocks: this.duplicateAudit.blocks.map(({ tokens, locations }) => ({ tokens, locations: locations.map(({ file, line, endLine, func }) => ({ file, line, endLine, functionId: func.id })) }))
+      },
+      hotspots: this.complexityAudit.hotspots.map(({ func, commits, score }) => ({ functionId: func.id, commits: this.complexityAudit.gitHistory ? commits : null, score })),
+      suppressions: this.suppressions.map((suppression) => ({
+        kind: suppression.kind,
+        label: suppression.label,
+        file: suppression.file ?? null,
+        line: suppression.line ?? null,
+        rules: suppression.rules ?? null,
+        hits: suppression.hits.size,
+        stale: stale.includes(suppression)
+      })),
+      errors: this.errors
+    };
+  }
+
+  formatHtmlReport(folderPath) {
+    // One offline file: the JSON report is embedded and rendered by the script below, so the page needs no server or CDN
+    const data = JSON.stringify(this.formatJsonReport(folderPath)).replace(/</g, '\\u003c');
+    const title = path.basename(path.resolve(folderPath)).replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Function Analysis - ${title}</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { background: #24292f; color: #fff; padding: 16px 24px; }
+  header h1 { font-size: 20px; margin: 0 0 4px; }
+  main { padding: 0 24px 24px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; }
+  .filters { position: sticky; top: 0; z-index: 1; display: flex; gap: 8px; padding: 12px 24px; background: #f6f8fa; border-bottom: 1px solid #d0d7de; }
+  .filters input { flex: 1; }
+  .cards { display: flex; flex-wrap: wrap; gap: 8px; }
+  .card { min-width: 110px; padding: 8px 12px; background: #fff; border: 1px solid #d0d7de; border-radius: 6px; cursor: pointer; }
+  .card strong { display: block; font-size: 20px; }
+  .card.active { border-color: #0969da; box-shadow: 0 0 0 1px #0969da; }
+  table { width: 100%; border-collapse: collapse; background: #fff; }
+  th, td { padding: 4px 8px; border: 1px solid #d0d7de; text-align: left; vertical-align: top; }
+  th { background: #eaeef2; cursor: pointer; user-select: none; white-space: nowrap; }
+  th[data-order='1']::after { content: ' ▲'; }
+  th[data-order='-1']::after { content: ' ▼'; }
+  td.number { text-align: right; font-variant-numeric: tabular-nums; }
+  tbody tr.link { cursor: pointer; }
+  tbody tr.link:hover td, tbody tr.selected td { background: #ddf4ff; }
+  .tag { display: inline-block; margin: 1px; padding: 0 6px; border-radius: 10px; background: #ffebe9; color: #82071e; font-size: 12px; }
+  .muted { color: #8c959f; }
+  svg { width: 100%; background: #fff; border: 1px solid #d0d7de; }
+  svg text { font-size: 12px; }
+  svg line { stroke: #8c959f; }
+  svg .node rect { fill: #f6f8fa; stroke: #8c959f; }
+  svg .node.link { cursor: pointer; }
+  svg .node.link:hover rect { fill: #ddf4ff; }
+  svg .node.center rect { fill: #0969da; stroke: #0969da; }
+  svg .node.center text { fill: #fff; }
+</style>
+</head>
+<body>
+<header><h1>📊 Function Analysis Report</h1><div id="meta" class="muted"></div></header>
+<div class="filters">
+  <input id="search" type="search" placeholder="Search functions and findings">
+  <select id="file"><option value="">All files</option></select>
+  <select id="class"><option value="">All classes</option></select>
+  <select id="rule"><option value="">All issue types</option></select>
+</div>
+<main>
+  <section><h2>Summary</h2><div id="summary" class="cards"></div><ul id="errors"></ul></section>
+  <section><h2>Call Graph</h2><p id="graph-title" class="muted">Select a function to see what calls it and what it calls, then click a caller or callee to follow it.</p><svg id="graph" height="0"></svg></section>
+  <section>
+    <h2>Functions (<span id="function-count"></span>)</h2>
+    <table id="functions">
+      <thead><tr><th data-key="label">Function</th><th data-key="file">Location</th><th data-key="usage">Usage</th><th data-key="calls">Calls</th><th data-key="cyclomatic">Cyclomatic</th><th data-key="cognitive">Cognitive</th><th data-key="lines">Lines</th><th data-key="params">Params</th><th data-key="nesting">Nesting</th><th data-key="issues">Issues</th></tr></thead>
+      <tbody></tbody>
+    </table>
+  </section>
+  <section>
+    <h2>Findings (<span id="finding-count"></span>)</h2>
+    <table id="findings">
+      <thead><tr><th data-key="rule">Issue Type</th><th data-key="file">Location</th><th data-key="message">Message</th></tr></thead>
+      <tbody></tbody>
+    </table>
+  </section>
+</main>
+<script type="application/json" id="report-data">${data}</script>
+<script>
+  const report = JSON.parse(document.getElementById('report-data').textContent);
+  const functions = new Map(report.functions.map((func) => [func.id, func]));
+  const numeric = ['calls', 'cyclomatic', 'cognitive', 'lines', 'params', 'nesting', 'issues'];
+  const state = { search: '', file: '', class: '', rule: '', selected: null };
+  const sorting = { functions: { key: 'cognitive', order: -1 }, findings: { key: 'file', order: 1 } };
+  const box = { width: 280, height: 24, row: 32 };
+  const $ = (id) => document.getElementById(id);
+  const label = (func) => (func.class ? func.class + '.' : '') + func.name;
+  const where = (file, line, column) => (line ? file + ':' + line + (column ? ':' + column : '') : file);
+
+  function element(tag, properties, children) {
+    const node = Object.assign(document.createElement(tag), properties);
+    node.append(...(children || []));
+    return node;
+  }
+
+  function svgElement(tag, attributes, text) {
+    const node = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, value));
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  function value(row, key) {
+    if (row.metrics && key in row.metrics) return row.metrics[key];
+    if (key === 'label') return label(row);
+    if (key === 'file') return where(row.file, row.line, row.column);
+    if (key === 'issues') return row.issues.length;
+    return row[key] ?? '';
+  }
+
+  function compare({ key, order }) {
+    const collator = new Intl.Collator(undefined, { numeric: true });
+    return (a, b) => {
+      const x = value(a, key);
+      const y = value(b, key);
+      return order * (typeof x === 'number' && typeof y === 'number' ? x - y : collator.compare(String(x), String(y)));
+    };
+  }
+
+  function matches(file, className, text) {
+    return (!state.file || file === state.file) && (!state.class || className === state.class) && (!state.search || text.toLowerCase().includes(state.search));
+  }
+
+  function select(id) {
+    location.hash = 'fn=' + encodeURIComponent(id);
+  }
+
+  function renderSummary() {
+    const cards = [['Files', report.summary.files, ''], ['Functions', report.summary.functions, ''], ['Findings', report.summary.findings, '']].concat(
+      Object.entries(report.summary.findingsByRule).map(([rule, count]) => [rule, count, rule])
+    );
+    $('summary').replaceChildren(
+      ...cards.map(([text, count, rule]) =>
+        element('div', { className: rule && rule === state.rule ? 'card active' : 'card', title: rule ? 'Show only ' + rule + ' findings' : 'Show all findings', onclick: () => {
+          state.rule = rule === state.rule ? '' : rule;
+          $('rule').value = state.rule;
+          render();
+        } }, [element('strong', { textContent: count }), element('span', { textContent: text })])
+      )
+    );
+  }
+
+  function renderFunctions() {
+    const rows = report.functions.filter((func) => matches(func.file, func.class, label(func)) && (!state.rule || func.issues.includes(state.rule))).sort(compare(sorting.functions));
+    $('function-count').textContent = rows.length + ' of ' + report.functions.length;
+    $('functions').tBodies[0].replaceChildren(
+      ...rows.map((func) =>
+        element('tr', { className: func.id === state.selected ? 'link selected' : 'link', onclick: () => select(func.id) }, [
+          element('td', { textContent: (func.async ? 'async ' : '') + label(func) }),
+          element('td', { textContent: where(func.file, func.line, func.column) }),
+          element('td', { textContent: func.usage }),
+          ...['calls', 'cyclomatic', 'cognitive', 'lines', 'params', 'nesting'].map((key) => element('td', { className: 'number', textContent: value(func, key) })),
+          element('td', {}, func.issues.map((rule) => element('span', { className: 'tag', textContent: rule })))
+        ])
+      )
+    );
+  }
+
+  function renderFindings() {
+    const rows = report.findings
+      .filter((finding) => matches(finding.file, functions.get(finding.functionId)?.class ?? null, finding.message) && (!state.rule || finding.rule === state.rule))
+      .sort(compare(sorting.findings));
+    $('finding-count').textContent = rows.length + ' of ' + report.findings.length;
+    $('findings').tBodies[0].replaceChildren(
+      ...rows.map((finding) =>
+        element('tr', { className: functions.has(finding.functionId) ? 'link' : '', onclick: () => functions.has(finding.functionId) && select(finding.functionId) }, [
+          element('td', {}, [element('span', { className: 'tag', textContent: finding.rule })]),
+          element('td', { textContent: where(finding.file, finding.line, finding.column) }),
+          element('td', { textContent: finding.message })
+        ])
+      )
+    );
+  }
+
+  function graphNode(node, x, y, center) {
+    const text = node.text.length > 40 ? node.text.slice(0, 39) + '…' : node.text;
+    const group = svgElement('g', { class: 'node' + (center ? ' center' : node.id ? ' link' : ''), transform: 'translate(' + x + ',' + y + ')' });
+    group.append(svgElement('title', {}, node.title), svgElement('rect', { width: box.width, height: box.height, rx: 4 }), svgElement('text', { x: 8, y: 16 }, text));
+    if (node.id && !center) group.addEventListener('click', () => select(node.id));
+    return group;
+  }
+
+  function renderGraph() {
+    const svg = $('graph');
+    const func = functions.get(state.selected);
+    if (!func) {
+      svg.setAttribute('height', 0);
+      svg.replaceChildren();
+      return;
     }
-    return count;
+
+    const callers = new Map();
+    func.callers.forEach((call) => {
+      const caller = functions.get(call.caller);
+      if (caller) callers.set(caller.id, { id: caller.id, text: label(caller), title: where(call.file, call.line) });
+      else if (call.reference) callers.set(call.reference + call.file, { text: call.reference + ' in ' + call.file, title: where(call.file, call.line) });
+      else if (call.caller) callers.set(call.caller, { text: call.caller.split(':').slice(-2)[0] + ' (not tracked)', title: where(call.file, call.line) });
+      else callers.set(call.file, { text: call.file + ' (top level)', title: where(call.file, call.line) });
+    });
+    const callees = func.callees.filter((id) => functions.has(id)).map((id) => ({ id, text: label(functions.get(id)), title: where(functions.get(id).file, functions.get(id).line) }));
+
+    const width = 960;
+    const rows = Math.max(callers.size, callees.length, 1);
+    const height = rows * box.row + 32;
+    const center = { x: (width - box.width) / 2, y: 24 + ((rows - 1) * box.row) / 2 };
+    const children = [svgElement('text', { x: 20, y: 14 }, callers.size + ' callers'), svgElement('text', { x: width - box.width - 20, y: 14 }, callees.length + ' callees')];
+    const column = (nodes, x, toCenter) =>
+      nodes.forEach((node, index) => {
+        const y = 24 + index * box.row + ((rows - nodes.length) * box.row) / 2;
+        children.push(svgElement('line', { x1: toCenter ? x + box.width : center.x + box.width, y1: (toCenter ? y : center.y) + box.height / 2, x2: toCenter ? center.x : x, y2: (toCenter ? center.y : y) + box.height / 2 }));
+        children.push(graphNode(node, x, y));
+      });
+    column(Array.from(callers.values()), 20, true);
+    column(callees, width - box.width - 20, false);
+    children.push(graphNode({ id: func.id, text: label(func), title: where(func.file, func.line) }, center.x, center.y, true));
+
+    $('graph-title').textContent = label(func) + ' - ' + where(func.file, func.line) + ', called ' + func.calls + ' times';
+    svg.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+    svg.setAttribute('height', height);
+    svg.replaceChildren(...children);
+  }
+
+  function render() {
+    Object.entries(sorting).forEach(([table, { key, order }]) => document.querySelectorAll('#' + table + ' th').forEach((th) => (th.dataset.order = th.dataset.key === key ? order : '')));
+    renderSummary();
+    renderFunctions();
+    renderFindings();
+    renderGraph();
+  }
+
+  function fill(id, values) {
+    const options = Array.from(new Set(values.filter(Boolean))).sort();
+    $(id).append(...options.map((text) => element('option', { value: text, textContent: text })));
+    $(id).addEventListener('change', () => {
+      state[id] = $(id).value;
+      render();
+    });
+  }
+
+  function navigate() {
+    const match = location.hash.match(/^#fn=(.+)$/);
+    state.selected = match ? decodeURIComponent(match[1]) : null;
+    render();
+  }
+
+  $('meta').textContent = report.folder + ' · generated ' + new Date(report.generated).toLocaleString() + ' · ' + report.summary.skippedFunctions + ' inline functions and callbacks not tracked';
+  $('errors').append(...report.errors.map((error) => element('li', { textContent: '⚠️ ' + error })));
+  fill('file', report.functions.map((func) => func.file).concat(report.findings.map((finding) => finding.file)));
+  fill('class', report.functions.map((func) => func.class));
+  fill('rule', Object.keys(report.summary.findingsByRule));
+  $('search').addEventListener('input', () => {
+    state.search = $('search').value.trim().toLowerCase();
+    render();
+  });
+  document.querySelectorAll('th[data-key]').forEach((th) =>
+    th.addEventListener('click', () => {
+      const current = sorting[th.closest('table').id];
+      current.order = current.key === th.dataset.key ? -current.order : numeric.includes(th.dataset.key) ? -1 : 1;
+      current.key = th.dataset.key;
+      render();
+    })
+  );
+  window.addEventListener('hashchange', () => {
+    navigate();
+    $('graph').scrollIntoView({ block: 'nearest' });
+  });
+  navigate();
+</script>
+</body>
+</html>
+`;
   }
 
   writeReportToFile(folderPath) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const fileName = `function-analysis-report-${timestamp.slice(0, 19)}.txt`;
-    const reportPath = path.join(folderPath, fileName);
+    const fileName = `function-analysis-report-${timestamp.slice(0, 19)}.${this.reportExtensions[this.options.format]}`;
+    // --watch keeps refreshing the first report instead of adding one per save
+    const reportPath = this.options.reportPath ?? path.join(folderPath, fileName);
+    this.reportPath = reportPath;
+    const formatters = {
+      text: () => this.outputLines.join('\n'),
+      json: () => `${JSON.stringify(this.formatJsonReport(folderPath), null, 2)}\n`,
+      html: () => this.formatHtmlReport(folderPath)
+    };
 
     try {
-      fs.writeFileSync(reportPath, this.outputLines.join('\n'), 'utf-8');
+      fs.writeFileSync(reportPath, formatters[this.options.format](), 'utf-8');
       this.log(`\n📄 Report saved to: ${reportPath}`);
       console.log(`\n📄 Report saved to: ${reportPath}`);
     } catch (error) {
@@ -738,20 +3823,83 @@ class FunctionAnalyzer {
 
 // Main execution
 async function main() {
-  const folderPath = process.argv[2] || '.';
+  const args = process.argv.slice(2);
+  const valueFlags = ['--config', '--format', '-f', '--jobs', '-j'];
+  const getValue = (...flags) => {
+    const index = args.findIndex((arg) => flags.includes(arg));
+    return index !== -1 ? args[index + 1] : null;
+  };
+  const configPath = getValue('--config');
+  const format = getValue('--format', '-f') ?? 'text';
+  const jobs = getValue('--jobs', '-j');
+  const folderPath = args.find((arg, index) => !arg.startsWith('-') && !valueFlags.includes(args[index - 1])) || '.';
 
   if (!fs.existsSync(folderPath)) {
     console.error(`Error: Folder "${folderPath}" does not exist.`);
     process.exit(1);
   }
 
-  console.log(`🔍 Starting function analysis for: ${folderPath}`);
+  if (jobs !== null && !(Number.parseInt(jobs, 10) > 0)) {
+    console.error(`Error: --jobs expects a positive number, got "${jobs}".`);
+    process.exit(1);
+  }
 
-  const analyzer = new FunctionAnalyzer();
+  const options = { configPath, format, cache: !args.includes('--no-cache'), ...(jobs !== null && { jobs: Number.parseInt(jobs, 10) }) };
+  const analyzer = new FunctionAnalyzer(options);
+  if (!analyzer.reportExtensions[format]) {
+    console.error(`Error: Unknown format "${format}", expected one of: ${Object.keys(analyzer.reportExtensions).join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log(`🔍 Starting function analysis for: ${folderPath}`);
   await analyzer.analyzeFolder(folderPath);
+
+  if (args.includes('--watch') || args.includes('-w')) {
+    watchFolder(folderPath, { ...options, fileCache: analyzer.fileCache, reportPath: analyzer.reportPath });
+  }
+}
+
+function watchFolder(folderPath, options) {
+  const extensions = ['.js', '.jsx', '.mjs', '.ts', '.tsx'];
+  const ignored = /(^|\/)(node_modules|dist|build|\.git|\.analyze-functions-cache)(\/|$)/;
+  const configName = path.basename(options.configPath ?? '.analyze-functions.json');
+  const changed = new Set();
+  let timer = null;
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    const files = Array.from(changed);
+    changed.clear();
+    console.log(`\n✏️  ${files.join(', ')} changed, analyzing again...`);
+    try {
+      await new FunctionAnalyzer(options).analyzeFolder(folderPath);
+    } catch (error) {
+      console.error(`Error during analysis: ${error.message}`);
+    }
+    running = false;
+    // Saves made during the run are picked up right after it
+    if (changed.size > 0) run();
+  };
+
+  // Editors often write a file in several steps, so changes are collected for a moment before analyzing
+  fs.watch(folderPath, { recursive: true }, (_event, fileName) => {
+    const file = fileName?.split(path.sep).join('/');
+    if (!file || ignored.test(file) || !(extensions.includes(path.extname(file)) || path.basename(file) === configName)) return;
+    changed.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(run, 200);
+  });
+  console.log(`\n👀 Watching ${folderPath} for changes, press Ctrl+C to stop.`);
 }
 
-if (require.main === module) {
+if (!isMainThread && workerData?.fileAnalysis) {
+  // Worker started by analyzeInWorkers, each message is one file to parse and analyze
+  const analyzer = new FunctionAnalyzer();
+  analyzer.suppressions = workerData.suppressions;
+  parentPort.on('message', ({ file, content }) => parentPort.postMessage({ file, ...analyzer.analyzeSourceText(file, content) }));
+} else if (require.main === module) {
   main().catch(console.error);
 }
 
@@ -0,0 +1,513 @@
+const fs = require('fs');
+const path = require('path');
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const LocalizationAnalyzer = require('./check-unused-keys.js');
+
+class HardcodedStringExtractor {
+  constructor(config = {}) {
+    const args = this.parseArgs();
+
+    this.config = {
+      searchFolder: args.searchFolder || './',
+      outputFile: args.outputFile || './hardcoded-strings-report.txt',
+      localizationFile: args.localizationFile,
+      namespace: args.namespace,
+      scriptExtensions: ['.js', '.mjs', '.ts'],
+      templateExtensions: ['.hbs', '.html', '.handlebars'],
+      notificationMethods: ['info', 'warn', 'warning', 'error', 'notify'],
+      dialogClasses: ['Dialog', 'DialogV2'],
+      dialogMethods: ['confirm', 'prompt', 'wait', 'input', 'query'],
+      dialogButtons: ['yes', 'no', 'ok'],
+      templateAttributes: ['title', 'placeholder', 'data-tooltip'],
+      ...config
+    };
+
+    this.shouldApply = args.apply;
+    this.dryRun = args.dryRun;
+
+    // Reuses the key checker for manifest discovery, file walking and JSON scanning
+    this.localization = new LocalizationAnalyzer({
+      parseArgs: false,
+      searchFolder: this.config.searchFolder,
+      outputFile: this.config.outputFile,
+      ...(this.config.localizationFile ? { localizationFile: this.config.localizationFile } : {})
+    });
+
+    this.findings = [];
+    this.proposedKeys = new Map();
+  }
+
+  parseArgs() {
+    const args = process.argv.slice(2);
+    const parsed = {
+      apply: args.includes('--apply'),
+      dryRun: args.includes('--dry-run'),
+      searchFolder: null,
+      outputFile: null,
+      localizationFile: null,
+      namespace: null
+    };
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      const nextArg = args[i + 1];
+      // Every option below takes a value, a flag in its place means the value was left out
+      const requireValue = () => {
+        if (nextArg === undefined || nextArg.startsWith('-')) {
+          console.error(`Option ${arg} expects a value, see --help for usage`);
+          process.exit(1);
+        }
+        return nextArg;
+      };
+
+      switch (arg) {
+        case '--search-folder':
+        case '-s':
+          parsed.searchFolder = requireValue();
+          i++;
+          break;
+        case '--output-file':
+        case '-o':
+          parsed.outputFile = requireValue();
+          i++;
+          break;
+        case '--localization-file':
+        case '-l':
+          parsed.localizationFile = requireValue();
+          i++;
+          break;
+        case '--namespace':
+        case '-n':
+          parsed.namespace = requireValue();
+          i++;
+          break;
+      }
+    }
+
+    return parsed;
+  }
+
+  loadExistingKeys() {
+    if (!fs.existsSync(this.localization.config.localizationFile)) return {};
+    const entries = this.localization.flattenKeys(this.localization.loadLocalizationFile());
+    return Object.fromEntries(Object.entries(entries).map(([key, { value }]) => [key, value]));
+  }
+
+  resolveNamespace(existingKeys) {
+    if (this.config.namespace) return this.config.namespace;
+
+    // Follow whatever prefix the language file already uses most
+    const counts = new Map();
+    Object.keys(existingKeys).forEach((key) => counts.set(key.split('.')[0], (counts.get(key.split('.')[0]) ?? 0) + 1));
+    const [dominant] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+    if (dominant) return dominant[0];
+
+    const id = this.localization.loadManifest()?.data.id;
+    return id ? id.toUpperCase().replace(/[^A-Z0-9]/g, '') : 'MODULE';
+  }
+
+  isUserFacingText(text) {
+    // Entities such as &times; or &nbsp; spell out a symbol, not a word
+    const trimmed = text
+      .replace(/\{\w+\}/g, '')
+      .replace(/&(?:[A-Za-z]+|#\d+|#x[\dA-Fa-f]+);/g, ' ')
+      .trim();
+    if (!/[A-Za-z]{2,}/.test(trimmed)) return false;
+    if (this.localization.isLocalizationKey(text.trim())) return false;
+
+    // Identifiers, CSS classes, icons and file paths are not prose
+    if (/^[a-z][\w-]*$/.test(trimmed)) return false;
+    if (/^(?:fa-?\w*\s+)?fa-[\w-]+(?:\s+fa-[\w-]+)*$/.test(trimmed)) return false;
+    if (/^[\w./-]+\.(?:hbs|html|js|mjs|css|json|png|jpg|webp|svg)$/.test(trimmed)) return false;
+    return true;
+  }
+
+  getCalleeChain(node) {
+    const chain = [];
+    let current = node;
+    while (t.isMemberExpression(current) && !current.computed) {
+      chain.unshift(current.property.name);
+      current = current.object;
+    }
+    if (t.isIdentifier(current)) chain.unshift(current.name);
+    return chain;
+  }
+
+  getProperty(objectNode, name) {
+    if (!t.isObjectExpression(objectNode)) return null;
+    const property = objectNode.properties.find((p) => t.isObjectProperty(p) && !p.computed && (t.isIdentifier(p.key, { name }) || t.isStringLiteral(p.key, { value: name })));
+    return property?.value ?? null;
+  }
+
+  getTemplateText(node, content) {
+    if (t.isStringLiteral(node)) return { text: node.value, expressions: [] };
+    if (!t.isTemplateLiteral(node)) return null;
+
+    const expressions = node.expressions.map((expression, i) => {
+      let name = `value${i}`;
+      if (t.isIdentifier(expression)) name = expression.name;
+      else if (t.isMemberExpression(expression) && !expression.computed) name = expression.property.name;
+      return { name, source: content.slice(expression.start, expression.end) };
+    });
+
+    // Two different expressions with the same name would collapse into one placeholder
+    expressions.forEach((expression, i) => {
+      if (expressions.slice(0, i).some((other) => other.name === expression.name && other.source !== expression.source)) expression.name = `${expression.name}${i}`;
+    });
+
+    const text = node.quasis.map((quasi, i) => `${quasi.value.cooked ?? ''}${i < expressions.length ? `{${expressions[i].name}}` : ''}`).join('');
+    return { text, expressions };
+  }
+
+  addScriptFinding(node, category, filePath, content) {
+    const template = this.getTemplateText(node, content);
+    if (!template || !this.isUserFacingText(template.text)) return;
+
+    this.findings.push({
+      file: filePath,
+      type: 'script',
+      category,
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      start: node.start,
+      end: node.end,
+      text: template.text,
+      expressions: template.expressions
+    });
+  }
+
+  collectDialogStrings(options, filePath, content) {
+    const add = (node) => node && this.addScriptFinding(node, 'Dialog', filePath, content);
+    const addLabel = (button) => add(this.getProperty(button, 'label'));
+
+    add(this.getProperty(options, 'title'));
+    add(this.getProperty(this.getProperty(options, 'window'), 'title'));
+    this.config.dialogButtons.forEach((name) => addLabel(this.getProperty(options, name)));
+
+    const buttons = this.getProperty(options, 'buttons');
+    if (t.isObjectExpression(buttons)) buttons.properties.forEach((button) => t.isObjectProperty(button) && addLabel(button.value));
+    if (t.isArrayExpression(buttons)) buttons.elements.forEach(addLabel);
+  }
+
+  findScriptStrings(content, filePath) {
+    let ast;
+    try {
+      ast = parser.parse(content, {
+        sourceType: 'module',
+        allowImportExportEverywhere: true,
+        allowReturnOutsideFunction: true,
+        errorRecovery: true,
+        plugins: path.extname(filePath) === '.ts' ? ['typescript', 'decorators-legacy'] : ['jsx', 'decorators-legacy']
+      });
+    } catch (error) {
+      console.warn(`Warning: Could not parse ${filePath}: ${error.message}`);
+      return;
+    }
+
+    const visit = (nodePath) => {
+      const node = nodePath.node;
+      const chain = this.getCalleeChain(node.callee);
+      const [firstArg, secondArg] = node.arguments;
+      const owner = chain[chain.length - 2];
+      const method = chain[chain.length - 1];
+
+      if (t.isNewExpression(node)) {
+        if (this.config.dialogClasses.includes(method)) this.collectDialogStrings(firstArg, filePath, content);
+        return;
+      }
+
+      // ui.notifications.warn('KEY', { localize: true }) is already localized
+      if (owner === 'notifications' && chain[chain.length - 3] === 'ui' && this.config.notificationMethods.includes(method)) {
+        if (!t.isBooleanLiteral(this.getProperty(secondArg, 'localize'), { value: true })) this.addScriptFinding(firstArg, 'Notifications', filePath, content);
+      } else if (method === 'create' && chain.includes('ChatMessage')) {
+        ['content', 'flavor'].forEach((name) => {
+          const value = this.getProperty(firstArg, name);
+          if (value) this.addScriptFinding(value, 'Chat', filePath, content);
+        });
+      } else if (this.config.dialogClasses.includes(owner) && this.config.dialogMethods.includes(method)) {
+        this.collectDialogStrings(firstArg, filePath, content);
+      }
+    };
+
+    traverse(ast, { CallExpression: visit, NewExpression: visit });
+  }
+
+  maskTemplate(content) {
+    // Blank out comments, scripts and styles without moving any offsets
+    const blank = (match) => match.replace(/[^\n]/g, ' ');
+    return content.replace(/\{\{!--[\s\S]*?--\}\}|\{\{![\s\S]*?\}\}|<!--[\s\S]*?-->/g, blank).replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, blank);
+  }
+
+  findTemplateStrings(content, filePath) {
+    const masked = this.maskTemplate(content);
+    const lineStarts = this.localization.getLineStarts(content);
+    const category = path
+      .basename(filePath, path.extname(filePath))
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map((word) => word[0].toUpperCase() + word.slice(1))
+      .join('');
+
+    const addFinding = (finding) => {
+      const line = this.localization.getLineNumber(lineStarts, finding.start);
+      this.findings.push({ file: filePath, type: 'template', category, line, column: finding.start - lineStarts[line - 1] + 1, ...finding });
+    };
+
+    const attributePattern = new RegExp(`\\s(${this.config.templateAttributes.join('|')})\\s*=\\s*(["'])([^"'{}<>]*?)\\2`, 'g');
+    for (const match of masked.matchAll(attributePattern)) {
+      const value = match[3];
+      if (!this.isUserFacingText(value)) continue;
+      const start = match.index + match[0].length - 1 - value.length;
+      addFinding({ start, end: start + value.length, text: value.trim(), quote: match[2], hash: [] });
+    }
+
+    // A > inside a mustache, such as the {{> partial}} call, is not the end of a tag
+    const tags = masked.replace(/\{\{\{[\s\S]*?\}\}\}|\{\{[\s\S]*?\}\}/g, (match) => match.replace(/[<>]/g, ' '));
+    for (const chunk of tags.matchAll(/(?:^|>)([^<>]+)/g)) {
+      const chunkStart = chunk.index + chunk[0].length - chunk[1].length;
+      const chunkText = masked.slice(chunkStart, chunkStart + chunk[1].length);
+      const pieces = [];
+      let cursor = 0;
+
+      for (const mustache of chunkText.matchAll(/\{\{\{[\s\S]*?\}\}\}|\{\{[\s\S]*?\}\}/g)) {
+        if (mustache.index > cursor) pieces.push({ type: 'text', value: chunkText.slice(cursor, mustache.index), start: chunkStart + cursor });
+        // Plain {{value}} lookups become placeholders, helpers and blocks split the text
+        const lookup = mustache[0].match(/^\{\{\s*([\w@][\w.@]*)\s*\}\}$/);
+        pieces.push(lookup && lookup[1] !== 'else' ? { type: 'value', path: lookup[1], start: chunkStart + mustache.index, end: chunkStart + mustache.index + mustache[0].length } : { type: 'break' });
+        cursor = mustache.index + mustache[0].length;
+      }
+      if (cursor < chunkText.length) pieces.push({ type: 'text', value: chunkText.slice(cursor), start: chunkStart + cursor });
+
+      const runs = [[]];
+      pieces.forEach((piece) => (piece.type === 'break' ? runs.push([]) : runs[runs.length - 1].push(piece)));
+
+      runs.forEach((run) => {
+        const hash = run.filter(({ type }) => type === 'value').map(({ path: valuePath }) => ({ name: valuePath.split('.').pop().replace(/^@/, ''), path: valuePath }));
+        const text = run
+          .map((piece) => (piece.type === 'text' ? piece.value : `{${piece.path.split('.').pop().replace(/^@/, '')}}`))
+          .join('')
+          .replace(/\s+/g, ' ')
+          .trim();
+        if (!run.some(({ type, value }) => type === 'text' && /[A-Za-z]{2,}/.test(value)) || !this.isUserFacingText(text)) return;
+
+        const first = run.find((piece) => piece.type === 'value' || piece.value.trim());
+        const last = run.findLast((piece) => piece.type === 'value' || piece.value.trim());
+        const start = first.type === 'value' ? first.start : first.start + (first.value.length - first.value.trimStart().length);
+        const end = last.type === 'value' ? last.end : last.start + last.value.trimEnd().length;
+        addFinding({ start, end, text, hash });
+      });
+    }
+  }
+
+  proposeKey(finding, existingKeys, existingValues) {
+    if (existingValues.has(finding.text)) return { key: existingValues.get(finding.text), existing: true };
+    if (this.proposedKeys.has(finding.text)) return { key: this.proposedKeys.get(finding.text), existing: false };
+
+    const words = finding.text.replace(/<[^>]*>|\{\w+\}|&(?:[A-Za-z]+|#\d+|#x[\dA-Fa-f]+);/g, ' ').match(/[A-Za-z0-9]+/g) ?? [];
+    const name = words
+      .slice(0, 4)
+      .map((word) => word[0].toUpperCase() + word.slice(1).toLowerCase())
+      .join('');
+    const base = `${this.namespace}.${finding.category}.${name || 'Text'}`;
+
+    const taken = new Set([...Object.keys(existingKeys), ...this.proposedKeys.values()]);
+    let key = base;
+    for (let suffix = 2; taken.has(key); suffix++) key = `${base}${suffix}`;
+
+    this.proposedKeys.set(finding.text, key);
+    return { key, existing: false };
+  }
+
+  getReplacement(finding) {
+    if (finding.type === 'script') {
+      if (finding.expressions.length === 0) return `game.i18n.localize('${finding.key}')`;
+      const data = finding.expressions.filter((expression, i) => finding.expressions.findIndex((other) => other.name === expression.name) === i);
+      return `game.i18n.format('${finding.key}', { ${data.map(({ name, source }) => (name === source ? name : `${name}: ${source}`)).join(', ')} })`;
+    }
+
+    if (finding.quote) return finding.quote === '"' ? `{{localize '${finding.key}'}}` : `{{localize "${finding.key}"}}`;
+    const hash = finding.hash.filter((entry, i) => finding.hash.findIndex((other) => other.name === entry.name) === i);
+    return `{{localize "${finding.key}"${hash.map(({ name, path: valuePath }) => ` ${name}=${valuePath}`).join('')}}}`;
+  }
+
+  analyze() {
+    console.log('Starting hardcoded string analysis...');
+
+    this.localization.resolveProject();
+    const existingKeys = this.loadExistingKeys();
+    const existingValues = new Map(Object.entries(existingKeys).map(([key, value]) => [value, key]));
+    this.namespace = this.resolveNamespace(existingKeys);
+
+    const extensions = [...this.config.scriptExtensions, ...this.config.templateExtensions];
+    const files = this.localization.getSourceFiles().filter((filePath) => extensions.includes(path.extname(filePath)));
+    console.log(`Scanning ${files.length} files, proposing keys under ${this.namespace}`);
+
+    files.forEach((filePath) => {
+      let content;
+      try {
+        content = fs.readFileSync(filePath, 'utf8');
+      } catch {
+        console.warn(`Warning: Could not read ${filePath}`);
+        return;
+      }
+
+      if (this.config.scriptExtensions.includes(path.extname(filePath))) this.findScriptStrings(content, filePath);
+      else this.findTemplateStrings(content, filePath);
+    });
+
+    this.findings.sort((a, b) => a.file.localeCompare(b.file) || a.start - b.start);
+    this.findings.forEach((finding) => Object.assign(finding, this.proposeKey(finding, existingKeys, existingValues)));
+
+    const newEntries = new Map(this.findings.filter(({ existing }) => !existing).map(({ key, text }) => [key, text]));
+    console.log(`Found ${this.findings.length} hardcoded strings in ${new Set(this.findings.map(({ file }) => file)).size} files | New keys: ${newEntries.size}`);
+    return { files: files.length, findings: this.findings, newEntries };
+  }
+
+  generateReport(results) {
+    const byFile = new Map();
+    results.findings.forEach((finding) => {
+      if (!byFile.has(finding.file)) byFile.set(finding.file, []);
+      byFile.get(finding.file).push(finding);
+    });
+
+    const sections = [
+      ['# Hardcoded Strings Report', `Generated: ${new Date().toISOString()}`, `Files Scanned: ${results.files} | Strings: ${results.findings.length} | New Keys: ${results.newEntries.size}\n`],
+      ...Array.from(byFile.entries()).map(([file, findings]) => [
+        `## ${file} (${findings.length})`,
+        ...findings.map(({ line, column, category, text, key, existing }) => `    ${line}:${column} [${category}] "${text}" -> ${key}${existing ? ' (existing key)' : ''}`),
+        ''
+      ]),
+      [`## NEW LANGUAGE ENTRIES (${results.newEntries.size})`, Array.from(results.newEntries.entries(), ([key, text]) => `${JSON.stringify(key)}: ${JSON.stringify(text)}`).join(',\n')]
+    ];
+
+    fs.writeFileSync(this.config.outputFile, `${sections.flat().join('\n')}\n`, 'utf8');
+    console.log(`Report written to: ${this.config.outputFile}`);
+  }
+
+  applySourceChanges(findings) {
+    const byFile = new Map();
+    findings.forEach((finding) => {
+      if (!byFile.has(finding.file)) byFile.set(finding.file, []);
+      byFile.get(finding.file).push(finding);
+    });
+
+    byFile.forEach((fileFindings, filePath) => {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const updated = fileFindings.sort((a, b) => b.start - a.start).reduce((current, finding) => current.slice(0, finding.start) + this.getReplacement(finding) + current.slice(finding.end), content);
+      if (this.dryRun) {
+        console.log(`\n${this.localization.createUnifiedDiff(content, updated, filePath)}`);
+        return;
+      }
+
+      fs.writeFileSync(filePath, updated, 'utf8');
+      console.log(`Rewrote ${fileFindings.length} strings in ${filePath}`);
+    });
+  }
+
+  insertLanguageEntry(text, key, value) {
+    const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const indent = text.match(/\n([ \t]+)\S/)?.[1] ?? '  ';
+
+    // Nest under existing objects when the file is hierarchical, otherwise add a flat dotted key
+    const segments = key.split('.');
+    let containerPath = [];
+    let node = data;
+    while (segments.length - containerPath.length > 1 && node[segments[containerPath.length]] && typeof node[segments[containerPath.length]] === 'object') {
+      node = node[segments[containerPath.length]];
+      containerPath = segments.slice(0, containerPath.length + 1);
+    }
+    const remaining = segments.slice(containerPath.length);
+    const nested = containerPath.length > 0 || Object.values(data).some((entry) => entry && typeof entry === 'object');
+    const name = nested ? remaining[0] : key;
+    const entryValue = nested && remaining.length > 1 ? remaining.slice(1).reduceRight((child, segment) => ({ [segment]: child }), value) : value;
+
+    const siblings = this.localization.scanJsonKeys(text).filter((property) => property.path.length === containerPath.length + 1 && containerPath.every((segment, i) => property.path[i] === segment));
+    if (siblings.length === 0) {
+      const container = containerPath.reduce((current, segment) => current[segment], data);
+      container[name] = entryValue;
+      return `${JSON.stringify(data, null, indent).replace(/\n/g, eol)}${/\r?\n$/.test(text) ? eol : ''}`;
+    }
+
+    const depth = indent.repeat(containerPath.length + 1);
+    const serialized = JSON.stringify(entryValue, null, indent).replace(/\n/g, `${eol}${depth}`);
+    const last = siblings[siblings.length - 1];
+    return `${text.slice(0, last.end)},${eol}${depth}${JSON.stringify(name)}: ${serialized}${text.slice(last.end)}`;
+  }
+
+  applyLanguageEntries(newEntries) {
+    if (newEntries.size === 0) return;
+
+    const localizationFile = this.localization.config.localizationFile;
+    let text = fs.existsSync(localizationFile) ? fs.readFileSync(localizationFile, 'utf8') : '{}\n';
+    const original = text;
+    newEntries.forEach((value, key) => {
+      text = this.insertLanguageEntry(text, key, value);
+    });
+
+    if (this.dryRun) {
+      console.log(`\n${this.localization.createUnifiedDiff(fs.existsSync(localizationFile) ? original : '', text, localizationFile)}`);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(localizationFile), { recursive: true });
+    fs.writeFileSync(localizationFile, text, 'utf8');
+    console.log(`Added ${newEntries.size} keys to ${localizationFile}`);
+  }
+
+  printUsage() {
+    console.log(`
+Usage: node check-hardcoded-strings.js [options]
+
+Finds user-facing English in notifications, dialogs, chat messages and templates
+and proposes localization keys for it.
+
+Options:
+  -s, --search-folder <path>        Directory to search for files (default: ./)
+  -o, --output-file <path>          Output report file (default: ./hardcoded-strings-report.txt)
+  -l, --localization-file <path>    Localization file (default: the manifest's "en" language, else <search-folder>/lang/en.json)
+  -n, --namespace <name>            Key prefix for proposed keys (default: the language file's main prefix or the manifest id)
+      --apply                       Rewrite the sources to localize calls and add the new keys to the localization file
+      --dry-run                     Print a unified diff of what --apply would change without writing anything
+  -h, --help                        Show this help message
+
+Examples:
+  node check-hardcoded-strings.js -s ./my-module
+  node check-hardcoded-strings.js -s ./my-module -n MYMOD --dry-run
+  node check-hardcoded-strings.js -s ./my-module -n MYMOD --apply
+    `);
+  }
+
+  run() {
+    const args = process.argv.slice(2);
+    if (args.includes('--help') || args.includes('-h')) {
+      this.printUsage();
+      return;
+    }
+
+    try {
+      const results = this.analyze();
+      this.generateReport(results);
+
+      if (this.shouldApply || this.dryRun) {
+        this.applySourceChanges(results.findings);
+        this.applyLanguageEntries(results.newEntries);
+      }
+
+      console.log('\nAnalysis Complete!');
+    } catch (error) {
+      console.error(`Analysis failed: ${error.message}`);
+      process.exit(1);
+    }
+  }
+}
+
+// Execute
+if (require.main === module) {
+  const extractor = new HardcodedStringExtractor();
+  extractor.run();
+}
+
+module.exports = HardcodedStringExtractor;
@@ -1,49 +1,135 @@
 const fs = require('fs');
 const path = require('path');
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
 
 class LocalizationAnalyzer {
-  constructor(config = {}) {
-    const args = this.parseArgs();
+  constructor({ parseArgs = true, ...config } = {}) {
+    // Other scripts use the analyzer as a library with parseArgs: false, their command line flags are not meant for it
+    const args = this.parseArgs(parseArgs ? process.argv.slice(2) : []);
+    const searchFolder = config.searchFolder || args.searchFolder || './';
+
+    this.reportExtensions = { text: 'txt', json: 'json', sarif: 'sarif', markdown: 'md' };
+    const format = args.format || 'text';
 
     this.config = {
-      searchFolder: args.searchFolder || './',
-      outputFile: args.outputFile || './unused-keys-report.txt',
-      localizationFile: args.localizationFile || path.join(args.searchFolder || './', 'lang/en.json'),
+      searchFolder,
+      outputFile: args.outputFile || `./unused-keys-report.${this.reportExtensions[format] ?? 'txt'}`,
+      localizationFile: args.localizationFile || path.join(searchFolder, 'lang/en.json'),
       excludeFolders: ['node_modules', '.git', 'dist', 'build'],
       searchExtensions: ['.js', '.mjs', '.ts', '.hbs', '.html', '.handlebars', '.json'],
+      referenceExtensions: ['.js', '.mjs', '.ts', '.hbs', '.html', '.handlebars'],
+      scriptExtensions: ['.js', '.mjs', '.ts'],
+      templateExtensions: ['.hbs', '.html', '.handlebars'],
+      packExtensions: ['.json', '.yml', '.yaml'],
+      packSources: args.packSources,
+      dynamicAllowlist: args.allowDynamic,
+      sourceRoots: null,
+      baselineFile: args.baseline || path.join(searchFolder, 'localization-baseline.json'),
+      format,
+      failOn: args.failOn,
       ...config
     };
 
     this.shouldDelete = args.delete;
+    this.localizationFileGiven = Boolean(args.localizationFile || config.localizationFile);
+    this.parityMode = args.parity;
+    this.dryRun = args.dryRun;
+    this.interactive = args.interactive;
+    this.allLocales = args.allLocales;
+    this.writeBaselineMode = args.writeBaseline;
+    this.pruneBaselineMode = args.pruneBaseline;
+    this.useBaseline = !args.noBaseline;
+
+    // Call sites that request a localization key, the key is always the second capture group
+    this.referencePatterns = [
+      /\bgame\.i18n\.(?:localize|format)\(\s*(['"`])([^'"`$]+?)\1\s*[,)]/g,
+      /\b_loc\(\s*(['"`])([^'"`$]+?)\1\s*[,)]/g,
+      /\{\{~?\s*localize\s+(['"])([^'"]+?)\1/g,
+      /\(\s*localize\s+(['"])([^'"]+?)\1/g
+    ];
+
+    // Setting fields that Foundry localizes on its own
+    this.settingsCallPattern = /\bgame\.settings\.register(?:Menu)?\s*\(/g;
+    this.settingsFieldPattern = /\b(name|label|hint)\s*:\s*(['"`])([^'"`$]+?)\2/g;
+
+    // Dotted identifier runs, a trailing dot is kept so 'MYMOD.Size.' + size never counts as MYMOD.Size
+    this.tokenPattern = /[\w-]+(?:\.[\w-]+)*\.?/g;
   }
 
-  parseArgs() {
-    const args = process.argv.slice(2);
+  parseArgs(args) {
     const parsed = {
       delete: args.includes('--delete') || args.includes('-d'),
+      parity: args.includes('--parity') || args.includes('-p'),
+      dryRun: args.includes('--dry-run'),
+      interactive: args.includes('--interactive') || args.includes('-i'),
+      allLocales: args.includes('--all-locales'),
+      writeBaseline: args.includes('--write-baseline'),
+      pruneBaseline: args.includes('--prune-baseline'),
+      noBaseline: args.includes('--no-baseline'),
+      baseline: null,
       searchFolder: null,
       outputFile: null,
-      localizationFile: null
+      localizationFile: null,
+      allowDynamic: [],
+      packSources: [],
+      format: null,
+      failOn: []
     };
 
     for (let i = 0; i < args.length; i++) {
       const arg = args[i];
       const nextArg = args[i + 1];
+      // Every option below takes a value, a flag in its place means the value was left out
+      const requireValue = () => {
+        if (nextArg === undefined || nextArg.startsWith('-')) {
+          console.error(`Option ${arg} expects a value, see --help for usage`);
+          process.exit(1);
+        }
+        return nextArg;
+      };
 
       switch (arg) {
         case '--search-folder':
         case '-s':
-          parsed.searchFolder = nextArg;
+          parsed.searchFolder = requireValue();
           i++;
           break;
         case '--output-file':
         case '-o':
-          parsed.outputFile = nextArg;
+          parsed.outputFile = requireValue();
           i++;
           break;
         case '--localization-file':
         case '-l':
-          parsed.localizationFile = nextArg;
+          parsed.localizationFile = requireValue();
+          i++;
+          break;
+        case '--allow-dynamic':
+        case '-a':
+          parsed.allowDynamic.push(...requireValue().split(','));
+          i++;
+          break;
+        case '--baseline':
+          parsed.baseline = requireValue();
+          i++;
+          break;
+        case '--pack-source':
+          parsed.packSources.push(requireValue());
+          i++;
+          break;
+        case '--format':
+        case '-f':
+          parsed.format = requireValue();
+          i++;
+          break;
+        case '--fail-on':
+          parsed.failOn.push(
+            ...requireValue()
+              .split(',')
+              .map((category) => category.trim())
+          );
           i++;
           break;
       }
@@ -52,14 +138,489 @@ class LocalizationAnalyzer {
     return parsed;
   }
 
-  loadLocalizationFile() {
+  loadLocalizationFile(filePath = this.config.localizationFile) {
     try {
-      return JSON.parse(fs.readFileSync(this.config.localizationFile, 'utf8'));
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
     } catch (error) {
       throw new Error(`Failed to read localization file: ${error.message}`);
     }
   }
 
+  scanJsonKeys(text) {
+    const properties = [];
+    const lineStarts = this.getLineStarts(text);
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    const skipWhitespace = () => {
+      while (i < text.length && /\s/.test(text[i])) i++;
+    };
+
+    const readString = () => {
+      const start = i++;
+      while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+      return JSON.parse(text.slice(start, ++i));
+    };
+
+    const readValue = (parentPath, parent) => {
+      skipWhitespace();
+      const open = text[i];
+
+      if (open === '{' || open === '[') {
+        const close = open === '{' ? '}' : ']';
+        let position = 0;
+        i++;
+        skipWhitespace();
+        while (i < text.length && text[i] !== close) {
+          if (open === '{') {
+            const start = i;
+            const keyPath = [...parentPath, readString()];
+            const line = this.getLineNumber(lineStarts, start);
+            const property = { path: keyPath, key: keyPath.join('.'), line, column: start - lineStarts[line - 1] + 1, start, parent };
+            properties.push(property);
+            skipWhitespace();
+            i++;
+            readValue(keyPath, properties.length - 1);
+            property.end = i;
+          } else {
+            readValue([...parentPath, String(position++)], parent);
+          }
+          skipWhitespace();
+          if (text[i] === ',') i++;
+          skipWhitespace();
+        }
+        i++;
+      } else if (open === '"') {
+        readString();
+      } else {
+        while (i < text.length && !/[\s,}\]]/.test(text[i])) i++;
+      }
+    };
+
+    readValue([], -1);
+    return properties;
+  }
+
+  scanLocalizationFile(filePath = this.config.localizationFile) {
+    try {
+      return this.scanJsonKeys(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.warn(`Warning: Could not scan keys in ${filePath}: ${error.message}`);
+      return [];
+    }
+  }
+
+  findDuplicateKeys(properties) {
+    // JSON.parse silently keeps the last definition, so these only show up in the raw text
+    const definitions = new Map();
+    properties.forEach(({ key, line }) => {
+      if (!definitions.has(key)) definitions.set(key, []);
+      definitions.get(key).push(line);
+    });
+
+    return Array.from(definitions.entries())
+      .filter(([, lines]) => lines.length > 1)
+      .map(([key, lines]) => ({ key, lines }));
+  }
+
+  findDuplicateValues(localizationKeys) {
+    const groups = new Map();
+    Object.entries(localizationKeys).forEach(([key, value]) => {
+      if (typeof value !== 'string' || value.trim() === '') return;
+      const normalized = value.trim();
+      if (!groups.has(normalized)) groups.set(normalized, []);
+      groups.get(normalized).push(key);
+    });
+
+    return Array.from(groups.entries())
+      .filter(([, keys]) => keys.length > 1)
+      .map(([value, keys]) => ({ value, keys }))
+      .sort((a, b) => b.keys.length - a.keys.length || a.value.localeCompare(b.value));
+  }
+
+  loadManifest() {
+    if (this.manifest !== undefined) return this.manifest;
+
+    this.manifest = null;
+    for (const name of ['module.json', 'system.json', 'world.json']) {
+      const manifestPath = path.join(this.config.searchFolder, name);
+      if (!fs.existsSync(manifestPath)) continue;
+      try {
+        this.manifest = { path: manifestPath, data: JSON.parse(fs.readFileSync(manifestPath, 'utf8')) };
+        break;
+      } catch (error) {
+        console.warn(`Warning: Could not parse ${manifestPath}: ${error.message}`);
+      }
+    }
+    return this.manifest;
+  }
+
+  resolveProject() {
+    const manifest = this.loadManifest();
+    if (!manifest) return;
+
+    const manifestName = path.basename(manifest.path);
+    const languages = (manifest.data.languages ?? []).filter(({ path: langPath }) => langPath);
+
+    if (!this.localizationFileGiven && languages.length > 0) {
+      const source = languages.find(({ lang }) => lang === 'en') ?? languages[0];
+      this.config.localizationFile = path.join(this.config.searchFolder, source.path);
+    }
+
+    languages.forEach(({ lang, path: langPath }) => {
+      if (!fs.existsSync(path.join(this.config.searchFolder, langPath))) {
+        console.warn(`Warning: ${manifestName} declares language "${lang}" at ${langPath}, but the file does not exist`);
+      }
+    });
+
+    if (languages.length > 0) {
+      const declared = new Set(languages.map(({ path: langPath }) => path.resolve(this.config.searchFolder, langPath)));
+      const langFolders = new Set([...declared].map((file) => path.dirname(file)));
+      langFolders.forEach((langFolder) => {
+        if (!fs.existsSync(langFolder)) return;
+        fs.readdirSync(langFolder)
+          .filter((file) => path.extname(file) === '.json' && !file.endsWith('.backup.json') && !declared.has(path.join(langFolder, file)))
+          .forEach((file) => console.warn(`Warning: ${path.join(path.relative(process.cwd(), langFolder), file)} is not declared in the ${manifestName} languages`));
+      });
+    }
+
+    if (!this.config.sourceRoots) {
+      // Manifest paths are relative to the package root, scan the top level folder each one lives in
+      const entries = [...(manifest.data.esmodules ?? []), ...(manifest.data.scripts ?? []), ...(manifest.data.styles ?? [])];
+      const roots = new Set(
+        entries.map(
+          (entry) =>
+            path
+              .normalize(entry)
+              .replace(/^[\\/]+/, '')
+              .split(/[\\/]/)[0]
+        )
+      );
+      if (fs.existsSync(path.join(this.config.searchFolder, 'templates'))) roots.add('templates');
+
+      const sourceRoots = Array.from(roots)
+        .map((root) => path.join(this.config.searchFolder, root))
+        .filter((root) => {
+          if (fs.existsSync(root)) return true;
+          console.warn(`Warning: ${manifestName} references ${path.relative(this.config.searchFolder, root)}, but it does not exist`);
+          return false;
+        });
+      if (sourceRoots.length > 0) this.config.sourceRoots = sourceRoots;
+    }
+  }
+
+  findLocaleFiles() {
+    const manifest = this.loadManifest();
+    if (manifest?.data.languages?.length) {
+      return manifest.data.languages.filter(({ path: langPath }) => langPath).map(({ lang, path: langPath }) => ({ lang, file: path.join(this.config.searchFolder, langPath) }));
+    }
+
+    const langFolder = path.dirname(this.config.localizationFile);
+    try {
+      return fs
+        .readdirSync(langFolder)
+        .filter((file) => path.extname(file) === '.json' && !file.endsWith('.backup.json'))
+        .map((file) => ({ lang: path.basename(file, '.json'), file: path.join(langFolder, file) }));
+    } catch {
+      console.warn(`Warning: Could not read directory ${langFolder}`);
+      return [];
+    }
+  }
+
+  getPlaceholders(value) {
+    return typeof value === 'string' ? Array.from(new Set(Array.from(value.matchAll(/\{(\w+)\}/g), (match) => match[1]))).sort() : [];
+  }
+
+  compareLocale(sourceKeys, targetKeys) {
+    const comparison = { missing: [], extra: [], untranslated: [], placeholderMismatches: [], translated: 0 };
+
+    Object.entries(sourceKeys).forEach(([key, { value }]) => {
+      if (!(key in targetKeys)) {
+        comparison.missing.push({ key, value });
+        return;
+      }
+
+      const translation = targetKeys[key].value;
+      // Values without letters ("{actor}", "—", "5e") read the same in every language
+      if (translation === value && typeof value === 'string' && /\p{L}/u.test(value)) {
+        comparison.untranslated.push({ key, value });
+        return;
+      }
+      comparison.translated++;
+
+      const expected = this.getPlaceholders(value);
+      const actual = this.getPlaceholders(translation);
+      const missingPlaceholders = expected.filter((name) => !actual.includes(name));
+      const extraPlaceholders = actual.filter((name) => !expected.includes(name));
+      if (missingPlaceholders.length > 0 || extraPlaceholders.length > 0) {
+        comparison.placeholderMismatches.push({ key, value, translation, missing: missingPlaceholders, extra: extraPlaceholders });
+      }
+    });
+
+    comparison.extra = Object.entries(targetKeys)
+      .filter(([key]) => !(key in sourceKeys))
+      .map(([key, { value }]) => ({ key, value }));
+
+    const total = Object.keys(sourceKeys).length;
+    comparison.completion = total > 0 ? Math.round((comparison.translated / total) * 100) : 100;
+    return comparison;
+  }
+
+  analyzeParity() {
+    console.log('Starting translation parity analysis...');
+
+    const sourcePath = path.resolve(this.config.localizationFile);
+    const sourceKeys = this.flattenKeys(this.loadLocalizationFile(sourcePath));
+    const locales = this.findLocaleFiles().filter(({ file }) => path.resolve(file) !== sourcePath);
+
+    console.log(`Comparing ${locales.length} locales against ${path.basename(sourcePath)} (${Object.keys(sourceKeys).length} keys)`);
+
+    const parity = { source: this.config.localizationFile, total: Object.keys(sourceKeys).length, locales: [] };
+
+    locales.forEach(({ lang, file }) => {
+      if (!fs.existsSync(file)) {
+        console.warn(`Warning: Locale file ${file} does not exist`);
+        parity.locales.push({ lang, file, error: 'File not found' });
+        return;
+      }
+
+      try {
+        const targetKeys = this.flattenKeys(this.loadLocalizationFile(file));
+        const comparison = this.compareLocale(sourceKeys, targetKeys);
+        parity.locales.push({ lang, file, ...comparison });
+        console.log(`  ${lang}: ${comparison.completion}% complete | Missing: ${comparison.missing.length} | Untranslated: ${comparison.untranslated.length}`);
+      } catch (error) {
+        console.warn(`Warning: ${file}: ${error.message}`);
+        parity.locales.push({ lang, file, error: error.message });
+      }
+    });
+
+    return parity;
+  }
+
+  generateParityReport(parity) {
+    const formatters = {
+      text: () => this.formatParityTextReport(parity),
+      json: () => `${JSON.stringify(this.formatParityJsonReport(parity), null, 2)}\n`,
+      sarif: () => `${JSON.stringify(this.formatParitySarifReport(parity), null, 2)}\n`,
+      markdown: () => this.formatParityMarkdownReport(parity)
+    };
+
+    const report = formatters[this.config.format]();
+    fs.writeFileSync(this.config.outputFile, report, 'utf8');
+    console.log(`Report written to: ${this.config.outputFile}`);
+  }
+
+  formatParityTextReport(parity) {
+    const timestamp = new Date().toISOString();
+
+    const sections = [
+      ['# Translation Parity Report', `Generated: ${timestamp}`, `Source: ${parity.source} (${parity.total} keys) | Locales: ${parity.locales.length}\n`],
+      [
+        '## SUMMARY',
+        parity.locales.length === 0
+          ? 'No translations found!\n'
+          : `${parity.locales.map((locale) => (locale.error ? `${locale.lang}: ${locale.error}` : `${locale.lang}: ${locale.completion}% complete (${locale.translated}/${parity.total})`)).join('\n')}\n`
+      ],
+      ...parity.locales
+        .filter((locale) => !locale.error)
+        .map(({ lang, file, missing, extra, untranslated, placeholderMismatches }) => [
+          `## ${lang.toUpperCase()} (${file})`,
+          `### Missing Keys (${missing.length})`,
+          ...missing.map(({ key, value }) => `"${key}": "${value}"`),
+          `### Keys Only In Translation (${extra.length})`,
+          ...extra.map(({ key, value }) => `"${key}": "${value}"`),
+          `### Untranslated Values (${untranslated.length})`,
+          ...untranslated.map(({ key, value }) => `"${key}": "${value}"`),
+          `### Placeholder Mismatches (${placeholderMismatches.length})`,
+          ...placeholderMismatches.map(
+            ({ key, value, translation, missing: missingPlaceholders, extra: extraPlaceholders }) =>
+              `"${key}"\n    source: ${value}\n    translation: ${translation}\n    missing: ${missingPlaceholders.map((name) => `{${name}}`).join(', ') || '-'} | extra: ${extraPlaceholders.map((name) => `{${name}}`).join(', ') || '-'}`
+          ),
+          ''
+        ])
+    ];
+
+    return `${sections.flat().join('\n')}\n`;
+  }
+
+  formatParityJsonReport(parity) {
+    const compared = parity.locales.filter((locale) => !locale.error);
+    const count = (category) => compared.reduce((sum, locale) => sum + locale[category].length, 0);
+
+    return {
+      generated: new Date().toISOString(),
+      source: parity.source,
+      total: parity.total,
+      summary: {
+        locales: parity.locales.length,
+        missing: count('missing'),
+        extra: count('extra'),
+        untranslated: count('untranslated'),
+        placeholderMismatches: count('placeholderMismatches')
+      },
+      locales: parity.locales
+    };
+  }
+
+  formatParitySarifReport(parity) {
+    const toUri = (filePath) => path.relative(process.cwd(), filePath).split(path.sep).join('/');
+    const location = (filePath, line) => ({ physicalLocation: { artifactLocation: { uri: toUri(filePath) }, region: { startLine: Math.max(line, 1) } } });
+    const sourceLines = new Map(this.scanLocalizationFile(parity.source).map((property) => [property.key, property.line]));
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'check-unused-keys',
+              rules: [
+                { id: 'missing-translation', shortDescription: { text: 'Localization key is not defined in a locale file' } },
+                { id: 'extra-translation', shortDescription: { text: 'Locale file defines a key the source language file does not have' } },
+                { id: 'untranslated-value', shortDescription: { text: 'Locale file repeats the source text instead of translating it' } },
+                { id: 'translation-placeholder-mismatch', shortDescription: { text: 'Translation does not use the same placeholders as the source text' } }
+              ]
+            }
+          },
+          results: parity.locales
+            .filter((locale) => !locale.error)
+            .flatMap(({ lang, file, missing, extra, untranslated, placeholderMismatches }) => {
+              const lines = new Map(this.scanLocalizationFile(file).map((property) => [property.key, property.line]));
+              return [
+                ...missing.map(({ key }) => ({
+                  ruleId: 'missing-translation',
+                  level: 'warning',
+                  message: { text: `"${key}" is not translated in ${path.basename(file)} (${lang})` },
+                  locations: [location(parity.source, sourceLines.get(key) ?? 0)]
+                })),
+                ...extra.map(({ key }) => ({
+                  ruleId: 'extra-translation',
+                  level: 'note',
+                  message: { text: `"${key}" is not defined in ${path.basename(parity.source)}` },
+                  locations: [location(file, lines.get(key) ?? 0)]
+                })),
+                ...untranslated.map(({ key }) => ({
+                  ruleId: 'untranslated-value',
+                  level: 'note',
+                  message: { text: `"${key}" still has the ${path.basename(parity.source)} text` },
+                  locations: [location(file, lines.get(key) ?? 0)]
+                })),
+                ...placeholderMismatches.map(({ key, missing: missingPlaceholders, extra: extraPlaceholders }) => ({
+                  ruleId: 'translation-placeholder-mismatch',
+                  level: 'error',
+                  message: {
+                    text: `"${key}" translation ${[
+                      missingPlaceholders.length > 0 && `drops ${missingPlaceholders.map((name) => `{${name}}`).join(', ')}`,
+                      extraPlaceholders.length > 0 && `adds ${extraPlaceholders.map((name) => `{${name}}`).join(', ')}`
+                    ]
+                      .filter(Boolean)
+                      .join(' and ')}`
+                  },
+                  locations: [location(file, lines.get(key) ?? 0)]
+                }))
+              ];
+            })
+        }
+      ]
+    };
+  }
+
+  formatParityMarkdownReport(parity) {
+    const escape = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    const keyList = (entries) => (entries.length === 0 ? ['None.'] : entries.map(({ key, value }) => `- \`${key}\`: ${escape(value)}`));
+
+    const lines = [
+      '# Translation Parity Report',
+      '',
+      `Generated: ${new Date().toISOString()}`,
+      '',
+      `Source: \`${parity.source}\` (${parity.total} keys)`,
+      '',
+      ...(parity.locales.length === 0
+        ? ['No translations found!']
+        : [
+            '| Locale | Completion | Missing | Extra | Untranslated | Placeholder Mismatches |',
+            '| ------ | ---------- | ------- | ----- | ------------ | ---------------------- |',
+            ...parity.locales.map((locale) =>
+              locale.error
+                ? `| ${locale.lang} | ${escape(locale.error)} | | | | |`
+                : `| ${locale.lang} | ${locale.completion}% | ${locale.missing.length} | ${locale.extra.length} | ${locale.untranslated.length} | ${locale.placeholderMismatches.length} |`
+            )
+          ]),
+      '',
+      ...parity.locales
+        .filter((locale) => !locale.error)
+        .flatMap(({ lang, file, missing, extra, untranslated, placeholderMismatches }) => [
+          `## ${lang} (\`${file}\`)`,
+          '',
+          `### Missing Keys (${missing.length})`,
+          '',
+          ...keyList(missing),
+          '',
+          `### Keys Only In Translation (${extra.length})`,
+          '',
+          ...keyList(extra),
+          '',
+          `### Untranslated Values (${untranslated.length})`,
+          '',
+          ...keyList(untranslated),
+          '',
+          `### Placeholder Mismatches (${placeholderMismatches.length})`,
+          '',
+          ...(placeholderMismatches.length === 0
+            ? ['None.']
+            : [
+                '| Key | Missing | Extra |',
+                '| --- | ------- | ----- |',
+                ...placeholderMismatches.map(
+                  ({ key, missing: missingPlaceholders, extra: extraPlaceholders }) => `| \`${key}\` | ${missingPlaceholders.join(', ')} | ${extraPlaceholders.join(', ')} |`
+                )
+              ]),
+          ''
+        ])
+    ];
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  getParityFailures(parity) {
+    const compared = parity.locales.filter((locale) => !locale.error);
+    return this.config.failOn.map((category) => ({ category, count: compared.reduce((sum, locale) => sum + locale[category].length, 0) })).filter(({ count }) => count > 0);
+  }
+
+  flattenKeys(data, parentPath = [], flat = {}) {
+    Object.entries(data).forEach(([name, value]) => {
+      const keyPath = [...parentPath, name];
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        this.flattenKeys(value, keyPath, flat);
+      } else {
+        flat[keyPath.join('.')] = { value, path: keyPath };
+      }
+    });
+    return flat;
+  }
+
+  findUnusedBranches(entries, unusedKeys) {
+    const branches = new Map();
+
+    Object.entries(entries).forEach(([key, { path: keyPath }]) => {
+      for (let depth = 1; depth < keyPath.length; depth++) {
+        const branch = keyPath.slice(0, depth).join('.');
+        if (!branches.has(branch)) branches.set(branch, { key: branch, path: keyPath.slice(0, depth), leaves: 0, unused: 0 });
+        const counts = branches.get(branch);
+        counts.leaves++;
+        if (unusedKeys.has(key)) counts.unused++;
+      }
+    });
+
+    // Report only the outermost branch of a fully unused subtree
+    const unusedBranches = Array.from(branches.values()).filter(({ leaves, unused }) => leaves === unused);
+    return unusedBranches
+      .filter(({ path: branchPath }) => !unusedBranches.some((outer) => outer.path.length < branchPath.length && outer.path.every((name, i) => branchPath[i] === name)))
+      .map(({ key, leaves }) => ({ key, leaves }));
+  }
+
   getAllFiles(dir, fileList = []) {
     try {
       return fs.readdirSync(dir).reduce((acc, file) => {
@@ -79,60 +640,680 @@ class LocalizationAnalyzer {
     }
   }
 
-  findKeyUsage(key, files) {
-    const usages = files.reduce((acc, filePath) => {
-      try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        if (!content.includes(key)) return acc;
+  getSourceFiles() {
+    const roots = this.config.sourceRoots ?? [this.config.searchFolder];
+    return roots.flatMap((root) => (fs.statSync(root).isFile() ? [root].filter((file) => this.config.searchExtensions.includes(path.extname(file))) : this.getAllFiles(root)));
+  }
 
-        const occurrences = content.split('\n').reduce((lines, line, index) => {
-          if (line.includes(key)) {
-            lines.push({ line: index + 1, context: line.trim() });
-          }
-          return lines;
-        }, []);
+  findPackSources() {
+    const manifest = this.loadManifest();
+    const candidates = [...this.config.packSources, '_source', path.join('packs', '_source'), path.join('src', 'packs')];
+
+    // Manifest packs point at the compiled LevelDB folder, the unpacked sources usually sit in a _source sibling
+    (manifest?.data.packs ?? [])
+      .filter(({ path: packPath }) => packPath)
+      .forEach(({ path: packPath }) => candidates.push(packPath, path.join(path.dirname(packPath), '_source', path.basename(packPath))));
 
-        if (occurrences.length > 0) {
-          acc.push({ file: filePath, matches: occurrences.length, occurrences });
+    const folders = new Map(
+      candidates
+        .map((candidate) => path.join(this.config.searchFolder, candidate))
+        .filter((folder) => fs.existsSync(folder) && fs.statSync(folder).isDirectory())
+        .map((folder) => [path.resolve(folder), folder])
+    );
+    return Array.from(folders.entries())
+      .filter(([resolved]) => !Array.from(folders.keys()).some((outer) => resolved.startsWith(outer + path.sep)))
+      .map(([, folder]) => folder);
+  }
+
+  getPackFiles(dir, fileList = []) {
+    try {
+      return fs.readdirSync(dir).reduce((acc, file) => {
+        const filePath = path.join(dir, file);
+        const stat = fs.statSync(filePath);
+
+        if (stat.isDirectory() && !this.config.excludeFolders.includes(file)) {
+          return this.getPackFiles(filePath, acc);
+        } else if (this.config.packExtensions.includes(path.extname(file))) {
+          acc.push(filePath);
+        }
+        return acc;
+      }, fileList);
+    } catch {
+      console.warn(`Warning: Could not read directory ${dir}`);
+      return fileList;
+    }
+  }
+
+  loadYaml() {
+    if (this.yaml !== undefined) return this.yaml;
+
+    try {
+      this.yaml = require('js-yaml');
+    } catch {
+      console.warn('Warning: js-yaml is not installed, YAML pack sources are skipped (npm install js-yaml)');
+      this.yaml = null;
+    }
+    return this.yaml;
+  }
+
+  formatFieldPath(segments) {
+    return segments.reduce((field, segment) => (/^\d+$/.test(segment) ? `${field}[${segment}]` : field ? `${field}.${segment}` : segment), '');
+  }
+
+  indexPackFiles(files, index, keys) {
+    let documents = 0;
+
+    files.forEach((filePath) => {
+      let content;
+      let data;
+      const isYaml = path.extname(filePath) !== '.json';
+      try {
+        content = fs.readFileSync(filePath, 'utf8');
+        if (isYaml) {
+          const yaml = this.loadYaml();
+          if (!yaml) return;
+          data = yaml.load(content);
+        } else {
+          data = JSON.parse(content.replace(/^\uFEFF/, ''));
         }
       } catch (error) {
+        console.warn(`Warning: Could not parse pack source ${filePath}: ${error.message}`);
+        return;
+      }
+
+      const lines = content.split('\n');
+      // JSON sources give exact property lines, YAML is visited in document order so each usage is the next line mentioning the key
+      const propertyLines = isYaml ? new Map() : new Map(this.scanJsonKeys(content).map(({ path: propertyPath, line }) => [propertyPath.join('\0'), line]));
+      const lastLines = new Map();
+      const findNextLine = (token) => {
+        const previous = lastLines.get(token) ?? 0;
+        const next = lines.findIndex((text, i) => i >= previous && text.includes(token));
+        // Past the last mention, further usages stay on it
+        const line = next === -1 ? previous : next + 1;
+        lastLines.set(token, line);
+        return line;
+      };
+
+      const visit = (value, fieldPath, owners) => {
+        if (typeof value === 'string') {
+          // A key repeated inside one string is a single usage, like it is for JSON properties
+          for (const token of new Set(Array.from(value.matchAll(this.tokenPattern), ([match]) => match))) {
+            if (!keys.has(token)) continue;
+
+            const owner = owners[owners.length - 1];
+            const document = owners.map(({ name }) => name).join(' > ') || path.basename(filePath, path.extname(filePath));
+            const field = this.formatFieldPath(fieldPath.slice(owner?.depth ?? 0));
+            const line = propertyLines.get(fieldPath.join('\0')) ?? findNextLine(token);
+            this.addOccurrence(index.tokens, token, filePath, line, `[${document}] ${field}`, { document, field });
+          }
+        } else if (Array.isArray(value)) {
+          value.forEach((item, i) => visit(item, [...fieldPath, String(i)], owners));
+        } else if (value && typeof value === 'object') {
+          // Anything with a name is a document: the item itself, or its embedded effects, pages and results
+          const nextOwners = typeof value.name === 'string' ? [...owners, { name: value.name, depth: fieldPath.length }] : owners;
+          if (nextOwners !== owners) documents++;
+          Object.entries(value).forEach(([name, child]) => visit(child, [...fieldPath, name], nextOwners));
+        }
+      };
+
+      visit(data, [], []);
+    });
+
+    return documents;
+  }
+
+  buildIndex(files, keys) {
+    const index = { tokens: new Map(), references: new Map(), dynamicPatterns: [], calls: [], files: [] };
+    const expressions = [];
+    const constants = new Map();
+
+    files.forEach((filePath, i) => {
+      if ((i + 1) % 100 === 0) {
+        console.log(`Indexed: ${i + 1}/${files.length} files (${Math.round(((i + 1) / files.length) * 100)}%)`);
+      }
+
+      let content;
+      try {
+        content = fs.readFileSync(filePath, 'utf8');
+      } catch {
         console.warn(`Warning: Could not read ${filePath}`);
+        return;
       }
-      return acc;
-    }, []);
+
+      const lines = content.split('\n');
+      const lineStarts = this.getLineStarts(content);
+      const extension = path.extname(filePath);
+      index.files.push({ file: filePath, lines });
+
+      lines.forEach((line, lineIndex) => {
+        for (const [token] of line.matchAll(this.tokenPattern)) {
+          // Only dotted tokens and known keys can resolve to a key, skip every other identifier
+          if (keys.has(token) || this.isLocalizationKey(token)) this.addOccurrence(index.tokens, token, filePath, lineIndex + 1, line);
+        }
+      });
+
+      if (this.config.referenceExtensions.includes(extension)) this.findReferencedKeys(content, filePath, lines, lineStarts, index.references);
+      if (this.config.scriptExtensions.includes(extension)) {
+        const ast = this.parseScript(content, filePath);
+        if (!ast) return;
+        this.findExportedConstants(ast, constants);
+        expressions.push(...this.findScriptKeyExpressions(ast, filePath, lines));
+        index.calls.push(...this.findScriptCalls(ast, filePath, lines));
+      } else if (this.config.templateExtensions.includes(extension)) {
+        expressions.push(...this.findTemplateKeyExpressions(content, filePath, lines, lineStarts));
+        index.calls.push(...this.findTemplateCalls(content, filePath, lines, lineStarts));
+      }
+    });
+
+    // Imported constants are only known once every script has been read
+    this.resolveKeyExpressions(expressions, index, constants);
+    return index;
+  }
+
+  addOccurrence(map, key, filePath, line, context, details = {}) {
+    if (!map.has(key)) map.set(key, new Map());
+    const usages = map.get(key);
+    if (!usages.has(filePath)) usages.set(filePath, { file: filePath, matches: 0, occurrences: [] });
+
+    const usage = usages.get(filePath);
+    if (usage.occurrences.some((occ) => occ.line === line)) return;
+    usage.matches++;
+    usage.occurrences.push({ line, context: context.trim(), ...details });
+  }
+
+  findKeyUsage(key, index) {
+    let usages;
+    if (/^[\w-]+(?:\.[\w-]+)*$/.test(key)) {
+      usages = Array.from(index.tokens.get(key)?.values() ?? []);
+    } else {
+      // Keys with spaces or punctuation never form a single token, match them against the indexed lines instead
+      const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`(?<![\\w.-])${escaped}(?![\\w-]|\\.[\\w-])`);
+      const matches = new Map();
+      index.files.forEach(({ file, lines }) => {
+        lines.forEach((line, lineIndex) => {
+          if (pattern.test(line)) this.addOccurrence(matches, key, file, lineIndex + 1, line);
+        });
+      });
+      usages = Array.from(matches.get(key)?.values() ?? []);
+    }
 
     return { used: usages.length > 0, usages };
   }
 
+  isLocalizationKey(value) {
+    return /^[\w-]+(?:\.[\w-]+)+$/.test(value);
+  }
+
+  getLineStarts(content) {
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+      if (content.charCodeAt(i) === 10) lineStarts.push(i + 1);
+    }
+    return lineStarts;
+  }
+
+  getLineNumber(lineStarts, index) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  }
+
+  getCallEnd(content, openIndex) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = openIndex; i < content.length; i++) {
+      const char = content[i];
+
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+        continue;
+      }
+
+      if (char === '"' || char === "'" || char === '`') quote = char;
+      else if (char === '(') depth++;
+      else if (char === ')' && --depth === 0) return i;
+    }
+
+    return content.length;
+  }
+
+  findReferencedKeys(content, filePath, lines, lineStarts, references) {
+    const addReference = (key, index) => {
+      if (!this.isLocalizationKey(key)) return;
+      const line = this.getLineNumber(lineStarts, index);
+      this.addOccurrence(references, key, filePath, line, lines[line - 1]);
+    };
+
+    this.referencePatterns.forEach((pattern) => {
+      for (const match of content.matchAll(pattern)) {
+        addReference(match[2], match.index);
+      }
+    });
+
+    for (const call of content.matchAll(this.settingsCallPattern)) {
+      const start = call.index + call[0].length - 1;
+      const body = content.slice(start, this.getCallEnd(content, start));
+      for (const field of body.matchAll(this.settingsFieldPattern)) {
+        addReference(field[3], start + field.index);
+      }
+    }
+
+    return references;
+  }
+
+  getKeyParts(node, scope) {
+    // Static text as strings, unknown parts as null and imported names as { constant } until every file is read
+    const parts = [];
+
+    const collect = (part) => {
+      if (t.isBinaryExpression(part, { operator: '+' })) {
+        collect(part.left);
+        collect(part.right);
+      } else if (t.isStringLiteral(part)) {
+        parts.push(part.value);
+      } else if (t.isTemplateLiteral(part)) {
+        part.quasis.forEach((quasi, i) => {
+          parts.push(quasi.value.cooked ?? '');
+          if (i < part.expressions.length) collect(part.expressions[i]);
+        });
+      } else if (t.isIdentifier(part)) {
+        parts.push(this.resolveConstant(part.name, scope));
+      } else {
+        parts.push(null);
+      }
+    };
+    collect(node);
+
+    return parts;
+  }
+
+  resolveConstant(name, scope) {
+    const binding = scope.getBinding(name);
+    if (!binding) return null;
+
+    if (binding.kind === 'const' && binding.path.isVariableDeclarator()) {
+      const { init } = binding.path.node;
+      if (t.isStringLiteral(init)) return init.value;
+      if (t.isTemplateLiteral(init) && init.expressions.length === 0) return init.quasis[0].value.cooked;
+    }
+    if (binding.kind === 'module' && binding.path.isImportSpecifier()) {
+      const { imported } = binding.path.node;
+      return { constant: t.isIdentifier(imported) ? imported.name : imported.value };
+    }
+    return null;
+  }
+
+  findExportedConstants(ast, constants) {
+    // export const MODULE_ID = 'my-module', so keys built from an imported MODULE_ID can be resolved
+    ast.program.body.forEach((statement) => {
+      const declaration = t.isExportNamedDeclaration(statement) ? statement.declaration : null;
+      if (!t.isVariableDeclaration(declaration, { kind: 'const' })) return;
+
+      declaration.declarations.forEach(({ id, init }) => {
+        if (!t.isIdentifier(id)) return;
+        const value = t.isStringLiteral(init) ? init.value : t.isTemplateLiteral(init) && init.expressions.length === 0 ? init.quasis[0].value.cooked : null;
+        if (value === null) return;
+        if (!constants.has(id.name)) constants.set(id.name, new Set());
+        constants.get(id.name).add(value);
+      });
+    });
+  }
+
+  getStaticAffixes(parts) {
+    const first = parts.indexOf(null);
+    if (first === -1) return null;
+    const last = parts.lastIndexOf(null);
+    const prefix = parts.slice(0, first).join('');
+    const suffix = parts.slice(last + 1).join('');
+    if (this.isDynamicKeyPattern({ prefix, suffix })) return { prefix, suffix };
+    if (prefix !== '') return null;
+
+    // An unknown namespace such as `${this.moduleId}.Damage.${type}` still pins down the segments after it
+    const next = parts.indexOf(null, first + 1);
+    if (next === -1) return /^\.[\w-]+(?:\.[\w-]+)*$/.test(suffix) ? { prefix, suffix, unresolved: true } : null;
+    const infix = parts.slice(first + 1, next).join('');
+    return /^\.[\w-]+\.(?:[\w-]+\.)*$/.test(infix) && /^[\w.-]*$/.test(suffix) ? { prefix, infix, suffix, unresolved: true } : null;
+  }
+
+  isDynamicKeyPattern({ prefix, suffix }) {
+    // Require a namespaced prefix, otherwise `${a}.${b}` would match every key
+    return /^[\w-]+\.(?:[\w-]+\.)*[\w-]*$/.test(prefix) && /^[\w.-]*$/.test(suffix);
+  }
+
+  parseScript(content, filePath) {
+    try {
+      return parser.parse(content, {
+        sourceType: 'module',
+        allowImportExportEverywhere: true,
+        allowReturnOutsideFunction: true,
+        errorRecovery: true,
+        plugins: path.extname(filePath) === '.ts' ? ['typescript', 'decorators-legacy'] : ['jsx', 'decorators-legacy']
+      });
+    } catch (error) {
+      console.warn(`Warning: Could not parse ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  findScriptKeyExpressions(ast, filePath, lines) {
+    const expressions = [];
+    const addExpression = ({ node, scope }) => {
+      if (t.isTemplateLiteral(node) && node.expressions.length === 0) return;
+      const parts = this.getKeyParts(node, scope);
+      const line = node.loc.start.line;
+      expressions.push({ parts, file: filePath, line, context: lines[line - 1].trim() });
+    };
+
+    traverse(ast, {
+      TemplateLiteral: (nodePath) => {
+        if (!t.isBinaryExpression(nodePath.parent, { operator: '+' })) addExpression(nodePath);
+      },
+      BinaryExpression: (nodePath) => {
+        if (nodePath.node.operator === '+' && !t.isBinaryExpression(nodePath.parent, { operator: '+' })) addExpression(nodePath);
+      }
+    });
+
+    return expressions;
+  }
+
+  findTemplateKeyExpressions(content, filePath, lines, lineStarts) {
+    const expressions = [];
+
+    // Handlebars builds keys with (concat "PREFIX." variable ".SUFFIX")
+    for (const match of content.matchAll(/\(\s*concat\s+((?:[^()]|\([^()]*\))*)\)/g)) {
+      const parts = Array.from(match[1].matchAll(/(['"])(.*?)\1|\S+/g), (arg) => (arg[1] ? arg[2] : null));
+      if (!parts.includes(null)) continue;
+
+      const line = this.getLineNumber(lineStarts, match.index);
+      expressions.push({ parts, file: filePath, line, context: lines[line - 1].trim() });
+    }
+
+    return expressions;
+  }
+
+  resolveKeyExpressions(expressions, index, constants) {
+    // A constant exported with different values from several files can't be resolved
+    const resolve = (part) => (part?.constant ? (constants.get(part.constant)?.size === 1 ? Array.from(constants.get(part.constant))[0] : null) : part);
+
+    expressions.forEach(({ parts, file, line, context }) => {
+      const resolved = parts.map(resolve);
+      if (!resolved.includes(null)) {
+        // Fully resolved, such as `${MODULE_ID}.Title`, this is a plain key reference
+        const key = resolved.join('');
+        if (this.isLocalizationKey(key)) this.addOccurrence(index.tokens, key, file, line, context);
+        return;
+      }
+
+      const affixes = this.getStaticAffixes(resolved);
+      if (affixes) index.dynamicPatterns.push({ ...affixes, file, line, context });
+    });
+  }
+
+  getDataKeys(node) {
+    if (!node) return [];
+    // Spreads, computed keys and variables hide the data keys, such calls can't be checked
+    if (!t.isObjectExpression(node)) return null;
+
+    const keys = [];
+    for (const property of node.properties) {
+      if (!t.isObjectProperty(property) && !t.isObjectMethod(property)) return null;
+      if (t.isIdentifier(property.key) && !property.computed) keys.push(property.key.name);
+      else if (t.isStringLiteral(property.key) || t.isNumericLiteral(property.key)) keys.push(String(property.key.value));
+      else return null;
+    }
+    return keys;
+  }
+
+  findScriptCalls(ast, filePath, lines) {
+    const calls = [];
+
+    traverse(ast, {
+      CallExpression: ({ node }) => {
+        const { callee } = node;
+        if (!t.isMemberExpression(callee) || callee.computed || !t.isIdentifier(callee.property) || !t.matchesPattern(callee.object, 'game.i18n')) return;
+
+        const method = callee.property.name;
+        if (!['localize', 'format'].includes(method)) return;
+
+        const [keyNode, dataNode] = node.arguments;
+        let key;
+        if (t.isStringLiteral(keyNode)) key = keyNode.value;
+        else if (t.isTemplateLiteral(keyNode) && keyNode.expressions.length === 0) key = keyNode.quasis[0].value.cooked;
+        if (!key) return;
+
+        const line = node.loc.start.line;
+        calls.push({ key, method, dataKeys: method === 'format' ? this.getDataKeys(dataNode) : [], file: filePath, line, context: lines[line - 1].trim() });
+      }
+    });
+
+    return calls;
+  }
+
+  findTemplateCalls(content, filePath, lines, lineStarts) {
+    const calls = [];
+
+    // The localize helper formats the string with its hash arguments when there are any
+    for (const pattern of [/\{\{~?\s*localize\s+(['"])([^'"]+?)\1([^}]*)\}\}/g, /\(\s*localize\s+(['"])([^'"]+?)\1([^()]*)\)/g]) {
+      for (const match of content.matchAll(pattern)) {
+        const dataKeys = Array.from(match[3].matchAll(/(?:^|\s)([\w-]+)=/g), (hash) => hash[1]);
+        const line = this.getLineNumber(lineStarts, match.index);
+        calls.push({ key: match[2], method: dataKeys.length > 0 ? 'format' : 'localize', dataKeys, file: filePath, line, context: lines[line - 1].trim() });
+      }
+    }
+
+    return calls;
+  }
+
+  checkPlaceholders(localizationKeys, calls) {
+    const mismatches = [];
+    const callsByKey = new Map();
+
+    calls.forEach((call) => {
+      const value = localizationKeys[call.key];
+      if (typeof value !== 'string') return;
+      if (!callsByKey.has(call.key)) callsByKey.set(call.key, []);
+      callsByKey.get(call.key).push(call);
+
+      if (call.method !== 'format' || !call.dataKeys) return;
+      const placeholders = this.getPlaceholders(value);
+      const missing = placeholders.filter((name) => !call.dataKeys.includes(name));
+      const extra = call.dataKeys.filter((name) => !placeholders.includes(name));
+      if (missing.length > 0 || extra.length > 0) {
+        mismatches.push({ key: call.key, value, file: call.file, line: call.line, context: call.context, missing, extra });
+      }
+    });
+
+    // localize() leaves the braces in place, so these strings show a literal {placeholder} at the table
+    const unformatted = Array.from(callsByKey.entries())
+      .filter(([key, keyCalls]) => this.getPlaceholders(localizationKeys[key]).length > 0 && keyCalls.every(({ method }) => method === 'localize'))
+      .map(([key, keyCalls]) => ({
+        key,
+        value: localizationKeys[key],
+        placeholders: this.getPlaceholders(localizationKeys[key]),
+        occurrences: keyCalls.map(({ file, line, context }) => ({ file, line, context }))
+      }));
+
+    return {
+      placeholderMismatches: mismatches.sort((a, b) => a.key.localeCompare(b.key) || a.file.localeCompare(b.file) || a.line - b.line),
+      unformatted: unformatted.sort((a, b) => a.key.localeCompare(b.key))
+    };
+  }
+
+  getAllowlistPatterns() {
+    return this.config.dynamicAllowlist.map((pattern) => {
+      const [prefix, ...rest] = pattern.split('*');
+      return { prefix, suffix: rest.length > 0 ? rest[rest.length - 1] : '', file: 'allowlist', line: 0, context: pattern, allowlisted: true, exact: rest.length === 0 };
+    });
+  }
+
+  matchDynamicPatterns(key, patterns) {
+    return patterns.filter(({ prefix, infix, suffix, exact }) => {
+      if (exact) return key === prefix;
+      if (key.length <= prefix.length + suffix.length || !key.startsWith(prefix) || !key.endsWith(suffix)) return false;
+      // The unknown parts on either side of the infix need at least one character each
+      return !infix || key.slice(prefix.length + 1, key.length - suffix.length - 1).includes(infix);
+    });
+  }
+
+  findMissingKeys(localizationKeys, references) {
+    // Only keys under a namespace this file owns can be missing from it, anything else belongs to core or the system
+    const namespaces = new Set(Object.keys(localizationKeys).map((key) => key.split('.')[0]));
+    const missing = [];
+
+    for (const [key, usages] of references) {
+      if (key in localizationKeys || !namespaces.has(key.split('.')[0])) continue;
+      missing.push({ key, usages: Array.from(usages.values()) });
+    }
+
+    return missing.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
   analyze() {
     console.log('Starting localization analysis...');
-    if (this.shouldDelete) console.log('DELETE MODE: Unused keys will be removed!');
+    if (this.shouldDelete || this.interactive) console.log('DELETE MODE: Unused keys will be removed!');
+    else if (this.dryRun) console.log('DRY RUN: Unused key deletions will only be printed');
 
-    const localizationKeys = this.loadLocalizationFile();
-    const allFiles = this.getAllFiles(this.config.searchFolder);
+    const entries = this.flattenKeys(this.loadLocalizationFile());
+    const localizationKeys = Object.fromEntries(Object.entries(entries).map(([key, { value }]) => [key, value]));
+    const allFiles = this.getSourceFiles();
 
     const localizationFilePath = path.resolve(this.config.localizationFile);
-    const files = allFiles.filter((filePath) => path.resolve(filePath) !== localizationFilePath);
+    // A previous json report or the baseline in the search folder would otherwise count every key as used
+    const excludedFiles = [localizationFilePath, path.resolve(this.config.outputFile), path.resolve(this.config.baselineFile)];
+    // Pack sources are indexed per document below, so they are not scanned as plain files as well
+    const packFolders = this.findPackSources();
+    const isPackFile = (filePath) => packFolders.some((folder) => path.resolve(filePath).startsWith(path.resolve(folder) + path.sep));
+    const files = allFiles.filter((filePath) => !excludedFiles.includes(path.resolve(filePath)) && !isPackFile(filePath));
+    const packFiles = packFolders.flatMap((folder) => this.getPackFiles(folder));
 
     console.log(`Loaded ${Object.keys(localizationKeys).length} keys from ${allFiles.length} files (excluding ${path.basename(localizationFilePath)})`);
 
-    const results = { used: [], unused: [], missing: [], total: Object.keys(localizationKeys).length };
-    let processed = 0;
+    const keys = new Set(Object.keys(localizationKeys));
+    const index = this.buildIndex(files, keys);
+    if (packFiles.length > 0) {
+      const documents = this.indexPackFiles(packFiles, index, keys);
+      console.log(`Indexed ${documents} documents from ${packFiles.length} pack source files in ${packFolders.join(', ')}`);
+    }
+    const dynamicPatterns = [...this.getAllowlistPatterns(), ...index.dynamicPatterns];
+    console.log(`Indexed ${index.tokens.size} candidate tokens and ${dynamicPatterns.length} dynamic key patterns`);
+
+    const results = {
+      used: [],
+      unused: [],
+      dynamic: [],
+      unusedBranches: [],
+      missing: [],
+      placeholderMismatches: [],
+      unformatted: [],
+      duplicateKeys: [],
+      duplicateValues: [],
+      total: Object.keys(localizationKeys).length
+    };
 
     Object.entries(localizationKeys).forEach(([key, value]) => {
-      if (++processed % 50 === 0) {
-        console.log(`Progress: ${processed}/${results.total} (${Math.round((processed / results.total) * 100)}%)`);
+      const usage = this.findKeyUsage(key, index);
+      if (usage.used) {
+        results.used.push({ key, usages: usage.usages });
+        return;
       }
 
-      const usage = this.findKeyUsage(key, files);
-      (usage.used ? results.used : results.unused).push(usage.used ? { key, usages: usage.usages } : { key, value });
+      const patterns = this.matchDynamicPatterns(key, dynamicPatterns);
+      (patterns.length > 0 ? results.dynamic : results.unused).push({ key, value, path: entries[key].path, patterns });
+    });
+
+    const properties = this.scanLocalizationFile();
+    const locations = new Map(properties.map((property) => [property.key, property]));
+    [...results.unused, ...results.dynamic].forEach((entry) => {
+      entry.line = locations.get(entry.key)?.line ?? 0;
     });
 
-    console.log(`Used: ${results.used.length} | Unused: ${results.unused.length}`);
+    results.unusedBranches = this.findUnusedBranches(entries, new Set(results.unused.map(({ key }) => key)));
+
+    results.missing = this.findMissingKeys(localizationKeys, index.references);
+    Object.assign(results, this.checkPlaceholders(localizationKeys, index.calls));
+
+    results.duplicateKeys = this.findDuplicateKeys(properties);
+    results.duplicateValues = this.findDuplicateValues(localizationKeys);
+
+    console.log(`Used: ${results.used.length} | Possibly used: ${results.dynamic.length} | Unused: ${results.unused.length} | Missing: ${results.missing.length}`);
+    if (results.placeholderMismatches.length > 0 || results.unformatted.length > 0) {
+      console.log(`Warning: ${results.placeholderMismatches.length} format() calls pass the wrong data, ${results.unformatted.length} keys with placeholders are never formatted`);
+    }
+    if (results.duplicateKeys.length > 0) console.log(`Warning: ${results.duplicateKeys.length} keys are defined more than once, only the last definition is loaded!`);
     return results;
   }
 
+  loadBaseline() {
+    try {
+      const baseline = JSON.parse(fs.readFileSync(this.config.baselineFile, 'utf8'));
+      return { unused: baseline.unused ?? [], missing: baseline.missing ?? [] };
+    } catch (error) {
+      throw new Error(`Failed to read baseline file: ${error.message}`);
+    }
+  }
+
+  writeBaseline(baseline) {
+    const data = {
+      localizationFile: path.relative(this.config.searchFolder, this.config.localizationFile).split(path.sep).join('/'),
+      unused: [...baseline.unused].sort(),
+      missing: [...baseline.missing].sort()
+    };
+    fs.writeFileSync(this.config.baselineFile, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+  }
+
+  applyBaseline(results) {
+    if (!fs.existsSync(this.config.baselineFile)) return;
+
+    const baseline = this.loadBaseline();
+    const known = { unused: new Set(baseline.unused), missing: new Set(baseline.missing) };
+    const current = { unused: new Set(results.unused.map(({ key }) => key)), missing: new Set(results.missing.map(({ key }) => key)) };
+    const fixed = { unused: baseline.unused.filter((key) => !current.unused.has(key)), missing: baseline.missing.filter((key) => !current.missing.has(key)) };
+
+    const unused = results.unused.filter(({ key }) => !known.unused.has(key));
+    const missing = results.missing.filter(({ key }) => !known.missing.has(key));
+    results.baseline = {
+      file: this.config.baselineFile,
+      suppressed: { unused: results.unused.length - unused.length, missing: results.missing.length - missing.length },
+      fixed
+    };
+    results.unused = unused;
+    results.missing = missing;
+    // Branches made up only of known unused keys are not new either
+    results.unusedBranches = results.unusedBranches.filter(({ key }) => unused.some((entry) => entry.key.startsWith(`${key}.`)));
+
+    // A plain check never touches the tree, fixed entries are only dropped when asked to
+    const fixedCount = fixed.unused.length + fixed.missing.length;
+    if (fixedCount > 0 && this.pruneBaselineMode) {
+      this.writeBaseline({ unused: baseline.unused.filter((key) => current.unused.has(key)), missing: baseline.missing.filter((key) => current.missing.has(key)) });
+      console.log(`Pruned ${fixedCount} fixed entries from baseline ${this.config.baselineFile}`);
+    } else if (fixedCount > 0) {
+      console.log(`Baseline: ${fixedCount} entries are fixed and can be pruned with --prune-baseline: ${[...fixed.unused, ...fixed.missing].join(', ')}`);
+    }
+    console.log(`Baseline: ${results.baseline.suppressed.unused} unused and ${results.baseline.suppressed.missing} missing keys are known | New: ${unused.length} unused, ${missing.length} missing`);
+  }
+
   generateReport(results) {
+    const formatters = {
+      text: () => this.formatTextReport(results),
+      json: () => `${JSON.stringify(this.formatJsonReport(results), null, 2)}\n`,
+      sarif: () => `${JSON.stringify(this.formatSarifReport(results), null, 2)}\n`,
+      markdown: () => this.formatMarkdownReport(results)
+    };
+
+    const report = formatters[this.config.format]();
+    fs.writeFileSync(this.config.outputFile, report, 'utf8');
+    console.log(`Report written to: ${this.config.outputFile}`);
+  }
+
+  formatTextReport(results) {
     const timestamp = new Date().toISOString();
     const unusedPercentage = Math.round((results.unused.length / results.total) * 100);
 
@@ -141,6 +1322,12 @@ class LocalizationAnalyzer {
         '# Comprehensive Localization Keys Report',
         `Generated: ${timestamp}`,
         `Total Keys: ${results.total} | Used: ${results.used.length} | Unused: ${results.unused.length}`,
+        ...(results.baseline
+          ? [`Baseline: ${results.baseline.file} hides ${results.baseline.suppressed.unused} known unused and ${results.baseline.suppressed.missing} known missing keys, only new problems are listed`]
+          : []),
+        ...(results.baseline?.fixed.unused.length > 0 || results.baseline?.fixed.missing.length > 0
+          ? [`Fixed since the baseline (remove with --prune-baseline): ${[...results.baseline.fixed.unused, ...results.baseline.fixed.missing].join(', ')}`]
+          : []),
         `Unused Percentage: ${unusedPercentage}%\n`
       ],
 
@@ -153,11 +1340,67 @@ class LocalizationAnalyzer {
               .join('\n\n') + '\n'
       ],
 
+      placeholderMismatches: [
+        `## PLACEHOLDER MISMATCHES (${results.placeholderMismatches.length})`,
+        'These format() calls pass data that does not match the placeholders in the string.',
+        results.placeholderMismatches.length === 0
+          ? 'No placeholder mismatches found!\n'
+          : `${results.placeholderMismatches
+              .map(
+                ({ key, value, file, line, context, missing, extra }) =>
+                  `"${key}": "${value}"\n    ${file}:${line} - ${context}\n${missing.length > 0 ? `    Missing data: ${missing.join(', ')}\n` : ''}${extra.length > 0 ? `    Extra data: ${extra.join(', ')}\n` : ''}`
+              )
+              .join('\n')}`
+      ],
+
+      unformatted: [
+        `## PLACEHOLDERS NEVER FORMATTED (${results.unformatted.length})`,
+        'These keys contain placeholders but are only used through localize(), which does not substitute them.',
+        results.unformatted.length === 0
+          ? 'No unformatted placeholders found!\n'
+          : `${results.unformatted.map(({ key, value, occurrences }) => `"${key}": "${value}"\n${occurrences.map(({ file, line, context }) => `    ${file}:${line} - ${context}`).join('\n')}`).join('\n\n')}\n`
+      ],
+
       unused: [`## UNUSED KEYS (${results.unused.length})`, results.unused.length === 0 ? 'No unused keys found!\n' : results.unused.map(({ key, value }) => `"${key}": "${value}"`).join('\n') + '\n'],
 
+      dynamic: [
+        `## POSSIBLY USED KEYS (DYNAMIC) (${results.dynamic.length})`,
+        'These keys match a dynamically built key and are never deleted.',
+        results.dynamic.length === 0
+          ? 'No dynamically used keys found!\n'
+          : `${results.dynamic
+              .map(({ key, value, patterns }) => `"${key}": "${value}"\n${patterns.map((p) => `    ${p.allowlisted ? `allowlist: ${p.context}` : `${p.file}:${p.line} - ${p.context}`}`).join('\n')}`)
+              .join('\n\n')}\n`
+      ],
+
+      unusedBranches: [
+        `## UNUSED BRANCHES (${results.unusedBranches.length})`,
+        results.unusedBranches.length === 0 ? 'No fully unused branches found!\n' : `${results.unusedBranches.map(({ key, leaves }) => `"${key}": { ... }  // ${leaves} unused keys`).join('\n')}\n`
+      ],
+
+      duplicateKeys: [
+        `## DUPLICATE KEYS (${results.duplicateKeys.length})`,
+        results.duplicateKeys.length === 0
+          ? 'No duplicate keys found!\n'
+          : `${results.duplicateKeys.map(({ key, lines }) => `"${key}"  // defined on lines ${lines.join(', ')}, only line ${lines[lines.length - 1]} is loaded`).join('\n')}\n`
+      ],
+
+      duplicateValues: [
+        `## DUPLICATE VALUES (${results.duplicateValues.length})`,
+        'These keys share the same text and could be consolidated into one key.',
+        results.duplicateValues.length === 0
+          ? 'No duplicate values found!\n'
+          : `${results.duplicateValues.map(({ value, keys }) => `"${value}" (${keys.length} keys)\n${keys.map((key) => `    ${key}`).join('\n')}`).join('\n\n')}\n`
+      ],
+
       used: [
         `## USED KEYS (${results.used.length})`,
-        results.used.map(({ key, usages }) => `"${key}"\n${usages?.map((u) => u.occurrences.map((occ) => `    ${u.file}:${occ.line}`).join('\n')).join('\n') || ''}`).join('\n\n')
+        results.used
+          .map(
+            ({ key, usages }) =>
+              `"${key}"\n${usages?.map((u) => u.occurrences.map((occ) => `    ${u.file}:${occ.line}${occ.document ? ` [${occ.document}] ${occ.field}` : ''}`).join('\n')).join('\n') || ''}`
+          )
+          .join('\n\n')
       ],
 
       actions: [
@@ -167,29 +1410,438 @@ class LocalizationAnalyzer {
       ]
     };
 
-    const report = Object.values(sections).flat().join('\n') + '\n';
-    fs.writeFileSync(this.config.outputFile, report, 'utf8');
-    console.log(`Report written to: ${this.config.outputFile}`);
+    return `${Object.values(sections).flat().join('\n')}\n`;
+  }
+
+  toOccurrences(usages) {
+    return usages.flatMap(({ file, occurrences }) => occurrences.map(({ line, context, document, field }) => ({ file, line, context, ...(document && { document, field }) })));
+  }
+
+  formatJsonReport(results) {
+    return {
+      generated: new Date().toISOString(),
+      localizationFile: this.config.localizationFile,
+      baseline: results.baseline ?? null,
+      summary: {
+        total: results.total,
+        used: results.used.length,
+        unused: results.unused.length,
+        dynamic: results.dynamic.length,
+        missing: results.missing.length,
+        placeholderMismatches: results.placeholderMismatches.length,
+        unformatted: results.unformatted.length,
+        duplicateKeys: results.duplicateKeys.length,
+        duplicateValues: results.duplicateValues.length
+      },
+      missing: results.missing.map(({ key, usages }) => ({ key, occurrences: this.toOccurrences(usages) })),
+      placeholderMismatches: results.placeholderMismatches,
+      unformatted: results.unformatted,
+      unused: results.unused.map(({ key, value, line }) => ({ key, value, line })),
+      dynamic: results.dynamic.map(({ key, value, line, patterns }) => ({
+        key,
+        value,
+        line,
+        patterns: patterns.map(({ prefix, infix, suffix, file, line: patternLine, allowlisted }) => ({ prefix, ...(infix && { infix }), suffix, file, line: patternLine, allowlisted: !!allowlisted }))
+      })),
+      unusedBranches: results.unusedBranches,
+      duplicateKeys: results.duplicateKeys,
+      duplicateValues: results.duplicateValues,
+      used: results.used.map(({ key, usages }) => ({ key, occurrences: this.toOccurrences(usages) }))
+    };
   }
 
-  deleteUnusedKeys(unusedKeys) {
+  formatSarifReport(results) {
+    const toUri = (filePath) => path.relative(process.cwd(), filePath).split(path.sep).join('/');
+    const locations = new Map(this.scanLocalizationFile().map((property) => [property.key, property]));
+    const location = (filePath, line) => ({ physicalLocation: { artifactLocation: { uri: toUri(filePath) }, region: { startLine: Math.max(line, 1) } } });
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'check-unused-keys',
+              rules: [
+                { id: 'missing-key', shortDescription: { text: 'Localization key is referenced but not defined in the language file' } },
+                { id: 'placeholder-mismatch', shortDescription: { text: 'format() data does not match the placeholders of the localization string' } },
+                { id: 'unformatted-placeholder', shortDescription: { text: 'Localization string has placeholders but is only used through localize()' } },
+                { id: 'unused-key', shortDescription: { text: 'Localization key is defined but never referenced' } },
+                { id: 'dynamic-key', shortDescription: { text: 'Localization key is only matched by a dynamically built key' } },
+                { id: 'duplicate-key', shortDescription: { text: 'Localization key is defined more than once, only the last definition is loaded' } },
+                { id: 'duplicate-value', shortDescription: { text: 'Several localization keys share the same text' } }
+              ]
+            }
+          },
+          results: [
+            ...results.missing.flatMap(({ key, usages }) =>
+              this.toOccurrences(usages).map(({ file, line }) => ({
+                ruleId: 'missing-key',
+                level: 'error',
+                message: { text: `"${key}" is not defined in ${path.basename(this.config.localizationFile)}` },
+                locations: [location(file, line)]
+              }))
+            ),
+            ...results.placeholderMismatches.map(({ key, file, line, missing, extra }) => ({
+              ruleId: 'placeholder-mismatch',
+              level: 'error',
+              message: {
+                text: `"${key}" is formatted ${[missing.length > 0 && `without ${missing.join(', ')}`, extra.length > 0 && `with unused ${extra.join(', ')}`].filter(Boolean).join(' and ')}`
+              },
+              locations: [location(file, line)]
+            })),
+            ...results.unformatted.flatMap(({ key, placeholders, occurrences }) =>
+              occurrences.map(({ file, line }) => ({
+                ruleId: 'unformatted-placeholder',
+                level: 'warning',
+                message: { text: `"${key}" has placeholders (${placeholders.join(', ')}) but is only localized, use game.i18n.format()` },
+                locations: [location(file, line)]
+              }))
+            ),
+            ...results.unused.map(({ key, line }) => ({
+              ruleId: 'unused-key',
+              level: 'warning',
+              message: { text: `"${key}" is never used` },
+              locations: [location(this.config.localizationFile, line)]
+            })),
+            ...results.dynamic.map(({ key, line }) => ({
+              ruleId: 'dynamic-key',
+              level: 'note',
+              message: { text: `"${key}" is only used through a dynamically built key` },
+              locations: [location(this.config.localizationFile, line)]
+            })),
+            ...results.duplicateKeys.flatMap(({ key, lines }) =>
+              lines.slice(0, -1).map((line) => ({
+                ruleId: 'duplicate-key',
+                level: 'error',
+                message: { text: `"${key}" is defined again on line ${lines[lines.length - 1]}, this definition is ignored` },
+                locations: [location(this.config.localizationFile, line)]
+              }))
+            ),
+            ...results.duplicateValues.map(({ value, keys }) => ({
+              ruleId: 'duplicate-value',
+              level: 'note',
+              message: { text: `"${value}" is shared by ${keys.join(', ')}` },
+              locations: [location(this.config.localizationFile, locations.get(keys[0])?.line ?? 0)]
+            }))
+          ]
+        }
+      ]
+    };
+  }
+
+  formatMarkdownReport(results) {
+    const escape = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    const localizationFile = this.config.localizationFile;
+
+    const lines = [
+      '# Localization Keys Report',
+      '',
+      `Generated: ${new Date().toISOString()}`,
+      '',
+      ...(results.baseline
+        ? [`Baseline \`${results.baseline.file}\` hides ${results.baseline.suppressed.unused} known unused and ${results.baseline.suppressed.missing} known missing keys.`, '']
+        : []),
+      ...(results.baseline?.fixed.unused.length > 0 || results.baseline?.fixed.missing.length > 0
+        ? [`Fixed since the baseline (remove with \`--prune-baseline\`): ${[...results.baseline.fixed.unused, ...results.baseline.fixed.missing].map((key) => `\`${key}\``).join(', ')}`, '']
+        : []),
+      '| Total | Used | Possibly Used | Unused | Missing |',
+      '| ----- | ---- | ------------- | ------ | ------- |',
+      `| ${results.total} | ${results.used.length} | ${results.dynamic.length} | ${results.unused.length} | ${results.missing.length} |`,
+      '',
+      `## Missing Keys (${results.missing.length})`,
+      '',
+      ...(results.missing.length === 0
+        ? ['No missing keys found!']
+        : results.missing.flatMap(({ key, usages }) => [`- \`${key}\``, ...this.toOccurrences(usages).map(({ file, line }) => `  - ${file}:${line}`)])),
+      '',
+      `## Placeholder Mismatches (${results.placeholderMismatches.length})`,
+      '',
+      ...(results.placeholderMismatches.length === 0
+        ? ['No placeholder mismatches found!']
+        : [
+            '| Key | Location | Missing Data | Extra Data |',
+            '| --- | -------- | ------------ | ---------- |',
+            ...results.placeholderMismatches.map(({ key, file, line, missing, extra }) => `| \`${key}\` | ${file}:${line} | ${missing.join(', ')} | ${extra.join(', ')} |`)
+          ]),
+      '',
+      `## Placeholders Never Formatted (${results.unformatted.length})`,
+      '',
+      ...(results.unformatted.length === 0
+        ? ['No unformatted placeholders found!']
+        : results.unformatted.flatMap(({ key, value, occurrences }) => [`- \`${key}\`: ${escape(value)}`, ...occurrences.map(({ file, line }) => `  - ${file}:${line}`)])),
+      '',
+      `## Unused Keys (${results.unused.length})`,
+      '',
+      ...(results.unused.length === 0
+        ? ['No unused keys found!']
+        : ['| Key | Value | Location |', '| --- | ----- | -------- |', ...results.unused.map(({ key, value, line }) => `| \`${key}\` | ${escape(value)} | ${localizationFile}:${line} |`)]),
+      '',
+      `## Possibly Used Keys (Dynamic) (${results.dynamic.length})`,
+      '',
+      ...(results.dynamic.length === 0
+        ? ['No dynamically used keys found!']
+        : results.dynamic.flatMap(({ key, patterns }) => [`- \`${key}\``, ...patterns.map((p) => `  - ${p.allowlisted ? `allowlist: \`${p.context}\`` : `${p.file}:${p.line}`}`)])),
+      '',
+      `## Unused Branches (${results.unusedBranches.length})`,
+      '',
+      ...(results.unusedBranches.length === 0 ? ['No fully unused branches found!'] : results.unusedBranches.map(({ key, leaves }) => `- \`${key}\` (${leaves} unused keys)`)),
+      '',
+      `## Duplicate Keys (${results.duplicateKeys.length})`,
+      '',
+      ...(results.duplicateKeys.length === 0 ? ['No duplicate keys found!'] : results.duplicateKeys.map(({ key, lines }) => `- \`${key}\` defined on lines ${lines.join(', ')}`)),
+      '',
+      `## Duplicate Values (${results.duplicateValues.length})`,
+      '',
+      ...(results.duplicateValues.length === 0
+        ? ['No duplicate values found!']
+        : results.duplicateValues.map(({ value, keys }) => `- "${escape(value)}": ${keys.map((key) => `\`${key}\``).join(', ')}`)),
+      ''
+    ];
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  getFailures(results) {
+    return this.config.failOn.filter((category) => results[category]?.length > 0).map((category) => ({ category, count: results[category].length }));
+  }
+
+  reportFailures(failures) {
+    if (failures.length === 0) return;
+    console.error(`Failed: ${failures.map(({ category, count }) => `${count} ${category}`).join(', ')} (--fail-on ${this.config.failOn.join(',')})`);
+    process.exitCode = 1;
+  }
+
+  removeKeysFromText(text, keys) {
+    const properties = this.scanJsonKeys(text);
+    const deleted = new Set(keys);
+    const children = new Map();
+    properties.forEach((property, index) => {
+      if (!children.has(property.parent)) children.set(property.parent, []);
+      children.get(property.parent).push(index);
+    });
+
+    // A branch goes when all of its leaves go, so no empty parent objects are left behind
+    const removedCache = new Map();
+    const isRemoved = (index) => {
+      if (!removedCache.has(index)) {
+        const kids = children.get(index);
+        removedCache.set(index, kids ? kids.every(isRemoved) : deleted.has(properties[index].key));
+      }
+      return removedCache.get(index);
+    };
+
+    const ranges = [];
+    const lineStartOf = (index) => {
+      const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+      return /^[ \t]*$/.test(text.slice(lineStart, index)) ? lineStart : index;
+    };
+
+    for (const [parent, siblings] of children) {
+      if (parent !== -1 && isRemoved(parent)) continue;
+
+      const lastKept = siblings.findLastIndex((index) => !isRemoved(index));
+      siblings.forEach((index, position) => {
+        if (!isRemoved(index)) return;
+        const property = properties[index];
+
+        if (lastKept === -1) {
+          // Nothing kept at all, only possible for the root object
+          if (position === 0) ranges.push([lineStartOf(property.start), properties[siblings[siblings.length - 1]].end]);
+          return;
+        }
+        if (position > lastKept) return;
+
+        const comma = text.indexOf(',', property.end);
+        let start = lineStartOf(property.start);
+        let end = comma + 1;
+        const lineEnd = text.indexOf('\n', end);
+        const restOfLine = text.slice(end, lineEnd === -1 ? text.length : lineEnd);
+        if (/^[ \t\r]*$/.test(restOfLine) && start !== property.start) {
+          // Alone on its line: remove the whole line including the trailing comma
+          end = lineEnd === -1 ? text.length : lineEnd + 1;
+        } else if (/^[ \t\r]*$/.test(restOfLine)) {
+          // Last on a shared line: take the space before the key, keep the line break
+          start = property.start - text.slice(0, property.start).match(/[ \t]*$/)[0].length;
+        } else {
+          // More keys follow on the line: take the space before the next key, keep the indentation
+          start = property.start;
+          end += restOfLine.match(/^[ \t]*/)[0].length;
+        }
+        ranges.push([start, end]);
+      });
+
+      // Properties after the last kept sibling take that sibling's trailing comma with them
+      if (lastKept !== -1 && lastKept < siblings.length - 1) {
+        ranges.push([properties[siblings[lastKept]].end, properties[siblings[siblings.length - 1]].end]);
+      }
+    }
+
+    const result = ranges.sort((a, b) => b[0] - a[0]).reduce((current, [start, end]) => current.slice(0, start) + current.slice(end), text);
+    const removed = properties.filter((property, index) => !children.has(index) && deleted.has(property.key)).length;
+
+    JSON.parse(result.replace(/^\uFEFF/, ''));
+    return { text: result, removed };
+  }
+
+  diffLines(a, b) {
+    const max = a.length + b.length;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    // Myers' O(ND) diff, keeping only the [-d, d] window of each step for the backtrack
+    search: for (let d = 0; d <= max; d++) {
+      trace.push(v.slice(offset - d - 1, offset + d + 2));
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < a.length && y < b.length && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= a.length && y >= b.length) break search;
+      }
+    }
+
+    const operations = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const snapshot = trace[d];
+      const at = (k) => snapshot[k + d + 1];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        operations.push({ type: ' ', line: a[--x] });
+        y--;
+      }
+      if (d > 0) operations.push(x === prevX ? { type: '+', line: b[--y] } : { type: '-', line: a[--x] });
+    }
+
+    return operations.reverse();
+  }
+
+  createUnifiedDiff(oldText, newText, filePath, context = 3) {
+    const operations = this.diffLines(oldText.split(/\r?\n/), newText.split(/\r?\n/));
+    let oldLine = 1;
+    let newLine = 1;
+    operations.forEach((operation) => {
+      operation.oldLine = oldLine;
+      operation.newLine = newLine;
+      if (operation.type !== '+') oldLine++;
+      if (operation.type !== '-') newLine++;
+    });
+
+    const hunks = [];
+    operations.forEach((operation, index) => {
+      if (operation.type === ' ') return;
+      const last = hunks[hunks.length - 1];
+      if (last && index - last.end <= context * 2) last.end = index;
+      else hunks.push({ start: index, end: index });
+    });
+
+    const lines = [`--- ${filePath}`, `+++ ${filePath}`];
+    hunks.forEach(({ start, end }) => {
+      const hunk = operations.slice(Math.max(0, start - context), Math.min(operations.length, end + context + 1));
+      const oldCount = hunk.filter(({ type }) => type !== '+').length;
+      const newCount = hunk.filter(({ type }) => type !== '-').length;
+      lines.push(`@@ -${hunk[0].oldLine},${oldCount} +${hunk[0].newLine},${newCount} @@`, ...hunk.map(({ type, line }) => `${type}${line}`));
+    });
+
+    return lines.join('\n');
+  }
+
+  getBackupPath(filePath) {
+    const { dir, name, ext } = path.parse(filePath);
+    return path.join(dir, `${name}.backup${ext}`);
+  }
+
+  async confirmKeys(unusedKeys) {
+    const readline = require('readline');
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    // Iterating lines instead of question() keeps answers piped in from a file from being dropped
+    const answers = prompt[Symbol.asyncIterator]();
+    const selected = [];
+
+    try {
+      for (const [index, { key, value }] of unusedKeys.entries()) {
+        process.stdout.write(`[${index + 1}/${unusedKeys.length}] Remove "${key}": "${value}"? [y]es/[n]o/[a]ll remaining/[q]uit `);
+        const { value: line, done } = await answers.next();
+        const answer = done ? 'q' : line.trim().toLowerCase();
+        if (answer === 'q') break;
+        if (answer === 'a') {
+          selected.push(...unusedKeys.slice(index).map((entry) => entry.key));
+          break;
+        }
+        if (answer === 'y') selected.push(key);
+      }
+    } finally {
+      prompt.close();
+    }
+
+    return selected;
+  }
+
+  async deleteUnusedKeys(unusedKeys) {
     if (unusedKeys.length === 0) {
       console.log('No unused keys to delete!');
       return;
     }
 
-    console.log(`Deleting ${unusedKeys.length} unused keys...`);
+    const keys = this.interactive ? await this.confirmKeys(unusedKeys) : unusedKeys.map(({ key }) => key);
+    if (keys.length === 0) {
+      console.log('No keys selected for deletion.');
+      return;
+    }
+
+    const targets = [this.config.localizationFile];
+    if (this.allLocales) {
+      const sourcePath = path.resolve(this.config.localizationFile);
+      targets.push(
+        ...this.findLocaleFiles()
+          .map(({ file }) => file)
+          .filter((file) => path.resolve(file) !== sourcePath)
+      );
+    }
+
+    console.log(`${this.dryRun ? 'Would delete' : 'Deleting'} ${keys.length} unused keys from ${targets.length} file(s)...`);
 
-    // Create backup
-    const backupFile = this.config.localizationFile.replace('.json', '.backup.json');
-    fs.copyFileSync(this.config.localizationFile, backupFile);
+    targets.forEach((filePath) => {
+      if (!fs.existsSync(filePath)) {
+        console.warn(`Warning: Locale file ${filePath} does not exist`);
+        return;
+      }
 
-    // Remove unused keys
-    const localizationData = this.loadLocalizationFile();
-    unusedKeys.forEach(({ key }) => delete localizationData[key]);
+      const original = fs.readFileSync(filePath, 'utf8');
+      let updated;
+      try {
+        updated = this.removeKeysFromText(original, keys);
+      } catch (error) {
+        console.warn(`Warning: Skipped ${filePath}, could not remove keys safely: ${error.message}`);
+        return;
+      }
 
-    fs.writeFileSync(this.config.localizationFile, JSON.stringify(localizationData, null, 2), 'utf8');
-    console.log(`Deleted ${unusedKeys.length} keys. Backup: ${backupFile}`);
+      if (updated.removed === 0) {
+        console.log(`${filePath}: nothing to delete`);
+        return;
+      }
+
+      if (this.dryRun) {
+        console.log(`\n${this.createUnifiedDiff(original, updated.text, filePath)}\n`);
+        return;
+      }
+
+      const backupFile = this.getBackupPath(filePath);
+      fs.copyFileSync(filePath, backupFile);
+      fs.writeFileSync(filePath, updated.text, 'utf8');
+      console.log(`Deleted ${updated.removed} keys from ${filePath}. Backup: ${backupFile}`);
+    });
   }
 
   printUsage() {
@@ -199,18 +1851,38 @@ Usage: node script.js [options]
 Options:
   -s, --search-folder <path>        Directory to search for files (default: ./)
   -o, --output-file <path>          Output report file (default: ./unused-keys-report.txt)
-  -l, --localization-file <path>    Localization file (default: <search-folder>/lang/en.json)
+  -l, --localization-file <path>    Localization file (default: the manifest's "en" language, else <search-folder>/lang/en.json)
   -d, --delete                      Delete unused keys from localization file
+      --dry-run                     Print a unified diff of the deletions without writing anything
+  -i, --interactive                 Confirm each unused key before it is deleted
+      --all-locales                 Delete the same keys from every other locale file as well
+      --pack-source <path>          Extra folder of unpacked compendium JSON/YAML to scan (packs/_source and manifest packs are found automatically)
+  -a, --allow-dynamic <pattern>     Treat keys matching the pattern (e.g. MYMOD.Damage.*) as possibly used
+  -p, --parity                      Compare every locale file against the localization file instead
+      --write-baseline              Record the current unused and missing keys in the baseline file
+      --prune-baseline              Drop baseline entries that have been fixed, a plain run only lists them
+      --baseline <path>             Baseline file (default: <search-folder>/localization-baseline.json)
+      --no-baseline                 Report every problem, even those recorded in the baseline
+  -f, --format <format>             Report format: text, json, sarif or markdown (default: text)
+      --fail-on <categories>        Exit with code 1 when any of these are found: missing, unused, dynamic,
+                                    placeholderMismatches, unformatted, duplicateKeys, duplicateValues
+                                    (with --parity: missing, extra, untranslated, placeholderMismatches)
   -h, --help                        Show this help message
 
 Examples:
   node script.js -s ./my-project -o ./report.txt
   node script.js --search-folder ./src --delete
+  node script.js -s ./my-module --dry-run --all-locales
   node script.js -s ./app -l ./app/i18n/en.json
+  node script.js -s ./my-module --parity -o ./parity.txt
+  node script.js -s ./my-module --parity -f json --fail-on missing,placeholderMismatches
+  node script.js -s ./my-module -a "MYMOD.Size.*" -a "MYMOD.Ability.*.Abbr" --delete
+  node script.js -s ./my-module -f sarif --fail-on missing,unused
+  node script.js -s ./my-module --write-baseline
     `);
   }
 
-  run() {
+  async run() {
     const args = process.argv.slice(2);
     if (args.includes('--help') || args.includes('-h')) {
       this.printUsage();
@@ -218,17 +1890,51 @@ Examples:
     }
 
     try {
+      if (!(this.config.format in this.reportExtensions)) {
+        throw new Error(`Unknown format "${this.config.format}", expected one of: ${Object.keys(this.reportExtensions).join(', ')}`);
+      }
+      // Parity reports have their own categories, per locale and summed over all of them
+      const categories = this.parityMode
+        ? ['missing', 'extra', 'untranslated', 'placeholderMismatches']
+        : ['missing', 'unused', 'dynamic', 'placeholderMismatches', 'unformatted', 'duplicateKeys', 'duplicateValues'];
+      const unknownCategories = this.config.failOn.filter((category) => !categories.includes(category));
+      if (unknownCategories.length > 0) {
+        throw new Error(`Unknown --fail-on categories${this.parityMode ? ' for --parity' : ''}: ${unknownCategories.join(', ')}`);
+      }
+      if (this.pruneBaselineMode && !this.useBaseline) {
+        throw new Error('--prune-baseline compares against the baseline and can not be combined with --no-baseline');
+      }
+
+      this.resolveProject();
+
       console.log(`Configuration:`);
       console.log(`  Search folder: ${this.config.searchFolder}`);
+      if (this.manifest) console.log(`  Manifest: ${this.manifest.path}`);
+      if (this.config.sourceRoots) console.log(`  Source roots: ${this.config.sourceRoots.join(', ')}`);
       console.log(`  Localization file: ${this.config.localizationFile}`);
       console.log(`  Output file: ${this.config.outputFile}`);
       console.log('');
 
+      if (this.parityMode) {
+        const parity = this.analyzeParity();
+        this.generateParityReport(parity);
+        console.log('\nParity Analysis Complete!');
+        this.reportFailures(this.getParityFailures(parity));
+        return;
+      }
+
       const results = this.analyze();
+      // Known unused keys are only hidden from the report, deleting still removes them
+      const unusedKeys = results.unused;
+      if (this.writeBaselineMode) {
+        this.writeBaseline({ unused: results.unused.map(({ key }) => key), missing: results.missing.map(({ key }) => key) });
+        console.log(`Baseline written to: ${this.config.baselineFile} (${results.unused.length} unused, ${results.missing.length} missing)`);
+      }
+      if (this.useBaseline) this.applyBaseline(results);
       this.generateReport(results);
 
-      if (this.shouldDelete) {
-        this.deleteUnusedKeys(results.unused);
+      if (this.shouldDelete || this.interactive || this.dryRun) {
+        await this.deleteUnusedKeys(unusedKeys);
       }
 
       console.log('\nAnalysis Complete!');
@@ -237,6 +1943,8 @@ Examples:
       if (results.missing.length > 0) {
         console.log(`Warning: ${results.missing.length} keys need to be added to localization file!`);
       }
+
+      this.reportFailures(this.getFailures(results));
     } catch (error) {
       console.error(`Analysis failed: ${error.message}`);
       process.exit(1);
@@ -245,5 +1953,9 @@ Examples:
 }
 
 // Execute
-const analyzer = new LocalizationAnalyzer();
-analyzer.run();
+if (require.main === module) {
+  const analyzer = new LocalizationAnalyzer();
+  analyzer.run();
+}
+
+module.exports = LocalizationAnalyzer;